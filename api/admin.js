@@ -1,6 +1,20 @@
 // api/admin.js - UPDATED for weekly operations with trend analysis
 import { createClient } from '@supabase/supabase-js';
-import { runAutomatedWeeklyWorkflow, AutomatedWeeklyPublisher } from './cron/automated-weekly-workflow.js';
+import {
+  runAutomatedWeeklyWorkflow,
+  AutomatedWeeklyPublisher,
+  DEFAULT_EDITORIAL_SETTINGS,
+  validateEditorialSettings
+} from './cron/automated-weekly-workflow.js';
+import { DEFAULT_SCORING_RULES, SCORING_RULE_TYPES, validateScoringRules } from './cron/scoring-rules.js';
+import { TOPIC_IDS, classifyTopic, topicLabel } from './cron/topics.js';
+import { canonicalizeUrl } from './cron/canonical-url.js';
+import { ModelClient } from './cron/model-client.js';
+import { PERSONAS } from './cron/personas.js';
+import { NewsletterDelivery, summarizeDeliveries } from './cron/newsletter-delivery.js';
+import { SUBSCRIBER_STATUSES } from './cron/subscribers.js';
+import { weekStartOf, getWeekStart } from './cron/week-dates.js';
+import { PROTECTED_STATUSES, deleteEdition } from './cron/edition-cleanup.js';
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
@@ -26,6 +40,8 @@ export default async function handler(req, res) {
 
   try {
     switch (action) {
+      case 'list-editions':
+        return await listEditions(req, res);
       case 'get-articles':
         return await getWeeklyArticles(req, res);
       case 'generate-analysis':
@@ -36,6 +52,8 @@ export default async function handler(req, res) {
         return await updateStatus(req, res);
       case 'remove-article':
         return await removeArticle(req, res);
+      case 'add-article':
+        return await addArticle(req, res);
       case 'regenerate':
         return await regenerateWeekly(req, res);
       case 'clear-week':
@@ -44,6 +62,44 @@ export default async function handler(req, res) {
         return await reorderArticle(req, res);
       case 'get-trends':
         return await getTrends(req, res);
+      case 'get-settings':
+        return await getSettings(req, res);
+      case 'update-settings':
+        return await updateSettings(req, res);
+      case 'get-scoring-rules':
+        return await getScoringRules(req, res);
+      case 'update-scoring-rules':
+        return await updateScoringRules(req, res);
+      case 'list-prompts':
+        return await listPrompts(req, res);
+      case 'create-prompt':
+        return await createPrompt(req, res);
+      case 'diff-prompts':
+        return await diffPrompts(req, res);
+      case 'activate-prompt':
+        return await activatePrompt(req, res);
+      case 'rollback-prompt':
+        return await rollbackPrompt(req, res);
+      case 'list-runs':
+        return await listRuns(req, res);
+      case 'get-run':
+        return await getRun(req, res);
+      case 'approve-edition':
+        return await approveEdition(req, res);
+      case 'schedule-edition':
+        return await scheduleEdition(req, res);
+      case 'unschedule-edition':
+        return await unscheduleEdition(req, res);
+      case 'send-newsletter':
+        return await sendNewsletter(req, res);
+      case 'list-deliveries':
+        return await listDeliveries(req, res);
+      case 'list-subscribers':
+        return await listSubscribers(req, res);
+      case 'export-subscribers':
+        return await exportSubscribers(req, res);
+      case 'remove-subscriber':
+        return await removeSubscriber(req, res);
       default:
         return res.status(400).json({ error: 'Invalid action' });
     }
@@ -53,26 +109,76 @@ export default async function handler(req, res) {
   }
 }
 
-async function getWeeklyArticles(req, res) {
+const EDITION_COLUMNS = 'id, issue_number, status, week_start_date, week_end_date, featured_headline, ' +
+  'scheduled_for, approved_at, published_at, sent_at';
+
+// Newest first, paged with ?limit= and ?offset=, for the edition picker
+async function listEditions(req, res) {
+  const limit = Math.min(parseInt(req.query.limit || '20') || 20, 100);
+  const offset = Math.max(parseInt(req.query.offset || '0') || 0, 0);
+
   try {
-    const weekStart = getWeekStart();
-    
-    // Get weekly edition without embedding
-    const { data: edition, error: editionError } = await supabase
+    const { data: editions, count, error } = await supabase
       .from('weekly_editions')
-      .select('id, issue_number, status, week_start_date, week_end_date')
-      .eq('week_start_date', weekStart)
-      .single();
+      .select(EDITION_COLUMNS, { count: 'exact' })
+      .order('week_start_date', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    return res.json({ success: true, editions, total: count || 0, limit, offset, current_week: getWeekStart() });
+  } catch (error) {
+    console.error('Failed to list editions:', error);
+    return res.status(500).json({ error: 'Failed to list editions: ' + error.message });
+  }
+}
 
-    if (editionError && editionError.code !== 'PGRST116') {
-      throw editionError;
+// Edition-scoped actions take editionId or week (YYYY-MM-DD, any day of the week) in the query
+// or body and default to this week. Returns { weekStart, edition } - edition is null if that week
+// has none yet - or { error, status } for an unknown id or a malformed week.
+async function resolveEdition(req) {
+  const editionId = req.query.editionId || req.body?.editionId;
+  const week = req.query.week || req.body?.week;
+
+  let query = supabase.from('weekly_editions').select(EDITION_COLUMNS);
+  let weekStart = null;
+  if (editionId) {
+    query = query.eq('id', editionId);
+  } else {
+    weekStart = week ? weekStartOf(week) : getWeekStart();
+    if (!weekStart) {
+      return { error: `Invalid week "${week}" - use YYYY-MM-DD`, status: 400 };
+    }
+    query = query.eq('week_start_date', weekStart);
+  }
+
+  const { data: edition, error } = await query.single();
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  if (editionId && !edition) {
+    return { error: 'Edition not found', status: 404 };
+  }
+
+  return { weekStart: edition?.week_start_date || weekStart, edition: edition || null };
+}
+
+async function getWeeklyArticles(req, res) {
+  try {
+    const { weekStart, edition, error: resolveError, status } = await resolveEdition(req);
+    if (resolveError) {
+      return res.status(status).json({ error: resolveError });
     }
 
     if (!edition) {
       return res.json({ 
         articles: [], 
         edition: null,
-        message: 'No weekly edition found for this week' 
+        week_start: weekStart,
+        message: `No weekly edition found for the week of ${weekStart}`
       });
     }
 
@@ -87,29 +193,27 @@ async function getWeeklyArticles(req, res) {
       throw articlesError;
     }
 
-    const formatted = articles?.map(a => ({
-      id: a.id,
-      title: a.title,
-      description: a.description,
-      url: a.url,
-      urlToImage: a.image_url,
-      source: { name: a.source_name },
-      publishedAt: a.published_at,
-      preGeneratedAnalysis: a.analysis_text,
-      analysisWordCount: a.analysis_word_count,
-      order: a.article_order,
-      status: a.article_status || 'queue',
-      score: a.article_score || 0
-    })) || [];
+    const formatted = articles?.map(formatArticleRow) || [];
+
+    const { data: deliveries } = await supabase
+      .from('newsletter_deliveries')
+      .select('status, attempts')
+      .eq('edition_id', edition.id);
 
     return res.json({
       articles: formatted,
+      week_start: weekStart,
       edition: {
         id: edition.id,
         week_start_date: edition.week_start_date,
         week_end_date: edition.week_end_date,
         issue_number: edition.issue_number,
-        status: edition.status
+        status: edition.status,
+        scheduled_for: edition.scheduled_for,
+        approved_at: edition.approved_at,
+        published_at: edition.published_at,
+        sent_at: edition.sent_at,
+        delivery: summarizeDeliveries(deliveries || [])
       }
     });
   } catch (error) {
@@ -118,6 +222,35 @@ async function getWeeklyArticles(req, res) {
   }
 }
 
+function formatArticleRow(a) {
+  return {
+    id: a.id,
+    title: a.title,
+    description: a.description,
+    url: a.url,
+    canonicalUrl: a.canonical_url || null,
+    urlToImage: a.image_url,
+    source: { name: a.source_name },
+    byline: a.byline || null,
+    publishedAt: a.published_at,
+    preGeneratedAnalysis: a.analysis_text,
+    whatsHappening: a.whats_happening || null,
+    affectsMe: a.affects_me || null,
+    personaNotes: a.persona_notes || null,
+    claimCheck: a.claim_check || null,
+    analysisStatus: a.analysis_status || null,
+    analysisWordCount: a.analysis_word_count,
+    order: a.article_order,
+    status: a.article_status || 'queue',
+    score: a.article_score || 0,
+    scoreBreakdown: a.score_breakdown || [],
+    topic: a.topic || 'other',
+    alsoCoveredBy: a.also_covered_by || [],
+    repeatOf: a.repeat_of || null,
+    promptVersion: a.prompt_version ?? null
+  };
+}
+
 async function generateAnalysis(req, res) {
   const { article } = req.body;
   
@@ -125,12 +258,9 @@ async function generateAnalysis(req, res) {
     return res.status(400).json({ error: 'Missing required article data (title, description)' });
   }
 
-  if (!process.env.OPENAI_API_KEY) {
-    return res.status(500).json({ error: 'OpenAI API key not configured' });
-  }
-
-  if (!process.env.SYSTEM_PROMPT || !process.env.USER_PROMPT) {
-    return res.status(500).json({ error: 'Analysis prompts not configured (SYSTEM_PROMPT, USER_PROMPT)' });
+  const model = ModelClient.fromEnv();
+  if (!model.isConfigured) {
+    return res.status(500).json({ error: `Model provider not configured (${model.label} needs LLM_API_KEY)` });
   }
 
   try {
@@ -138,38 +268,63 @@ async function generateAnalysis(req, res) {
     
     // Get trend context for this week
     const trendContext = await getWeeklyTrendContext();
-    
+
+    // Ground regenerations in the stored full text when the workflow fetched it
+    if (article.id && !article.fullText) {
+      const { data: stored } = await supabase
+        .from('analyzed_articles')
+        .select('full_text')
+        .eq('id', article.id)
+        .single();
+      if (stored?.full_text) {
+        article.fullText = stored.full_text;
+      }
+    }
+
     // Create publisher instance and generate analysis with trends
     const publisher = new AutomatedWeeklyPublisher();
+    await publisher.loadSettings();
+
+    if (!publisher.prompt.system || !publisher.prompt.user) {
+      return res.status(500).json({ error: 'No analysis prompt - activate one in the Prompts tab or set SYSTEM_PROMPT and USER_PROMPT' });
+    }
+
     const analysis = await publisher.generateHumanImpactAnalysisWithTrends(article, trendContext);
     
     if (!analysis) {
-      return res.status(500).json({ error: 'No analysis generated - OpenAI returned empty response' });
+      return res.status(500).json({ error: `No analysis generated - ${model.label} returned empty response` });
     }
     
-    const sanitized = publisher.sanitize(article, analysis);
+    const result = publisher.toAnalysis(article, analysis);
     
-    if (!sanitized) {
+    if (!result) {
       return res.status(400).json({ error: 'Analysis failed quality checks - try regenerating' });
     }
     
-    const wordCount = sanitized.split(/\s+/).filter(Boolean).length;
+    const wordCount = result.analysis.split(/\s+/).filter(Boolean).length;
     console.log(`✅ Manual weekly analysis: ${wordCount} words`);
+
+    const personaNotes = await publisher.generatePersonaNotes(article, result.analysis);
     
     return res.json({ 
       success: true, 
-      analysis: sanitized,
+      analysis: result.analysis,
+      whatsHappening: result.whatsHappening,
+      affectsMe: result.affectsMe,
+      personaNotes,
+      claimCheck: result.claimCheck,
       wordCount: wordCount,
+      promptVersion: publisher.prompt.version,
       trendContext: trendContext
     });
     
   } catch (error) {
     console.error('Manual weekly analysis failed:', error);
     
-    if (error.message.includes('OpenAI')) {
-      return res.status(500).json({ error: 'OpenAI API error: ' + error.message });
+    if (error.message.startsWith(model.label)) {
+      return res.status(500).json({ error: 'Model API error: ' + error.message });
     } else if (error.message.includes('fetch')) {
-      return res.status(500).json({ error: 'Network error connecting to OpenAI' });
+      return res.status(500).json({ error: `Network error connecting to ${model.label}` });
     } else {
       return res.status(500).json({ error: 'Analysis generation failed: ' + error.message });
     }
@@ -221,7 +376,17 @@ async function getWeeklyTrendContext() {
 }
 
 async function updateAnalysis(req, res) {
-  const { articleId, newAnalysis } = req.body;
+  // promptVersion and the two sections are sent when saving a generated analysis; hand
+  // edits to the text store null so the public page falls back to the edited text.
+  // Persona notes are separate from the main text and only replaced when personaNotes is sent.
+  const {
+    articleId,
+    newAnalysis,
+    promptVersion = null,
+    whatsHappening = null,
+    affectsMe = null,
+    personaNotes
+  } = req.body;
   
   if (!articleId) {
     return res.status(400).json({ error: 'articleId is required' });
@@ -245,7 +410,7 @@ async function updateAnalysis(req, res) {
   try {
     const { data: existingArticle, error: checkError } = await supabase
       .from('analyzed_articles')
-      .select('id, title')
+      .select('id, title, description, full_text')
       .eq('id', articleId)
       .single();
 
@@ -253,14 +418,33 @@ async function updateAnalysis(req, res) {
       return res.status(404).json({ error: 'Article not found' });
     }
 
+    // Re-run the grounding check on whatever text is saved - hand edits are flagged, never rejected
+    const publisher = new AutomatedWeeklyPublisher();
+    await publisher.loadSettings();
+    const claimCheck = publisher.checkGrounding({
+      title: existingArticle.title,
+      description: existingArticle.description,
+      fullText: existingArticle.full_text
+    }, trimmedAnalysis);
+
+    const update = {
+      analysis_text: trimmedAnalysis,
+      analysis_word_count: wordCount,
+      analysis_generated_at: new Date().toISOString(),
+      prompt_version: promptVersion,
+      whats_happening: whatsHappening,
+      affects_me: affectsMe,
+      claim_check: claimCheck,
+      analysis_status: 'complete',
+      updated_at: new Date().toISOString()
+    };
+    if (personaNotes !== undefined) {
+      update.persona_notes = personaNotes;
+    }
+
     const { error: updateError } = await supabase
       .from('analyzed_articles')
-      .update({
-        analysis_text: trimmedAnalysis,
-        analysis_word_count: wordCount,
-        analysis_generated_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
+      .update(update)
       .eq('id', articleId);
 
     if (updateError) {
@@ -273,6 +457,7 @@ async function updateAnalysis(req, res) {
       success: true, 
       wordCount,
       articleId,
+      claimCheck,
       message: 'Weekly analysis updated successfully'
     });
   } catch (error) {
@@ -395,26 +580,171 @@ async function removeArticle(req, res) {
   }
 }
 
+async function addArticle(req, res) {
+  const { article, status = 'queue', analyze = false } = req.body || {};
+
+  if (!article || !article.title || !article.description) {
+    return res.status(400).json({ error: 'Missing required article data (title, description)' });
+  }
+
+  const validStatuses = ['published', 'draft', 'queue'];
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
+  }
+
+  if (article.url) {
+    try {
+      new URL(article.url);
+    } catch {
+      return res.status(400).json({ error: 'article.url must be a valid URL' });
+    }
+  }
+
+  try {
+    // Target edition: editionId or week, otherwise this week's
+    const { edition, error: resolveError, status: resolveStatus } = await resolveEdition(req);
+    if (resolveError) {
+      return res.status(resolveStatus).json({ error: resolveError });
+    }
+
+    if (!edition) {
+      return res.status(404).json({ error: 'Weekly edition not found - run the weekly workflow first' });
+    }
+
+    const { data: existingRows, error: rowsError } = await supabase
+      .from('analyzed_articles')
+      .select('id, article_order, article_status')
+      .eq('edition_id', edition.id);
+
+    if (rowsError) {
+      throw rowsError;
+    }
+
+    if (status === 'published' && existingRows.filter(a => a.article_status === 'published').length >= 10) {
+      return res.status(400).json({
+        error: 'Cannot publish more than 10 articles per weekly edition. Add it to the queue instead.'
+      });
+    }
+
+    const publishedAt = article.publishedAt ? new Date(article.publishedAt) : null;
+    const row = {
+      edition_id: edition.id,
+      title: article.title.trim(),
+      description: article.description.trim(),
+      url: article.url || null,
+      canonical_url: article.url ? canonicalizeUrl(article.url) : null,
+      image_url: article.urlToImage || null,
+      source_name: article.source?.name || 'Manual Entry',
+      byline: typeof article.byline === 'string' && article.byline.trim() ? article.byline.trim() : null,
+      published_at: publishedAt && !isNaN(publishedAt) ? publishedAt.toISOString() : new Date().toISOString(),
+      analysis_text: null,
+      analysis_generated_at: null,
+      analysis_word_count: 0,
+      article_status: status,
+      article_score: 0,
+      score_breakdown: [],
+      topic: TOPIC_IDS.includes(article.topic) ? article.topic : classifyTopic(article)
+    };
+
+    // Score with the same rules as the weekly run so manual picks are comparable
+    const publisher = new AutomatedWeeklyPublisher();
+    await publisher.loadSettings();
+    const scored = publisher.withScore({ ...article, publishedAt: row.published_at });
+    row.article_score = scored.score;
+    row.score_breakdown = scored.scoreBreakdown;
+
+    let analysisError = null;
+    if (analyze) {
+      try {
+        const trendContext = await getWeeklyTrendContext();
+        const raw = await publisher.generateHumanImpactAnalysisWithTrends(article, trendContext);
+        const result = raw ? publisher.toAnalysis(article, raw) : null;
+
+        if (result) {
+          row.analysis_text = result.analysis;
+          row.whats_happening = result.whatsHappening;
+          row.affects_me = result.affectsMe;
+          row.persona_notes = await publisher.generatePersonaNotes(article, result.analysis);
+          row.claim_check = result.claimCheck;
+          row.analysis_generated_at = new Date().toISOString();
+          row.analysis_word_count = result.analysis.split(/\s+/).filter(Boolean).length;
+          row.prompt_version = publisher.prompt.version;
+          row.analysis_status = 'complete';
+        } else {
+          analysisError = 'Analysis failed quality checks - generate it again from the article card';
+        }
+      } catch (error) {
+        console.warn('⚠️ Manual article analysis failed:', error.message);
+        analysisError = error.message;
+      }
+    }
+
+    const stored = await insertAtEnd(edition.id, row);
+
+    console.log(`✅ Added manual article to weekly edition #${edition.issue_number}: ${stored.title.substring(0, 50)}...`);
+
+    return res.json({
+      success: true,
+      article: formatArticleRow(stored),
+      editionId: edition.id,
+      analysisError,
+      message: 'Article added to weekly edition'
+    });
+  } catch (error) {
+    console.error('Failed to add manual article:', error);
+    return res.status(500).json({ error: 'Database error: ' + error.message });
+  }
+}
+
+// Appends after the edition's last article. Another add (or a regenerate) can take the same
+// article_order between the read and the insert; the unique (edition_id, article_order) index
+// rejects the second insert, which then re-reads and tries the next slot
+async function insertAtEnd(editionId, row) {
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const { data: last, error: lastError } = await supabase
+      .from('analyzed_articles')
+      .select('article_order')
+      .eq('edition_id', editionId)
+      .order('article_order', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (lastError) throw lastError;
+
+    const { data: stored, error } = await supabase
+      .from('analyzed_articles')
+      .insert({ ...row, article_order: (last?.article_order || 0) + 1 })
+      .select()
+      .single();
+
+    if (!error) return stored;
+    if (error.code !== '23505' || attempt === 3) throw error;
+    console.warn(`⚠️ Article order ${(last?.article_order || 0) + 1} taken by another insert, retrying`);
+  }
+}
+
 async function regenerateWeekly(req, res) {
   const startTime = Date.now();
-  const weekStart = getWeekStart();
   
   try {
-    console.log('🔄 Admin weekly regenerate started');
-    
-    // Check for existing edition
-    const { data: existing } = await supabase
-      .from('weekly_editions')
-      .select('id')
-      .eq('week_start_date', weekStart)
-      .single();
+    const { weekStart, edition: existing, error: resolveError, status } = await resolveEdition(req);
+    if (resolveError) {
+      return res.status(status).json({ success: false, error: resolveError });
+    }
+
+    console.log(`🔄 Admin weekly regenerate started for the week of ${weekStart}`);
 
     if (existing) {
       console.log('📰 Found existing weekly edition, workflow will handle it');
+    } else if (weekStart < getWeekStart()) {
+      // Providers return the last daysBack days of news, not a past week's
+      return res.status(400).json({
+        success: false,
+        error: `No edition for the week of ${weekStart} - past weeks can't be generated, only fixed`
+      });
     }
 
     // Run the weekly automated workflow
-    const edition = await runAutomatedWeeklyWorkflow();
+    const edition = await runAutomatedWeeklyWorkflow({ trigger: 'admin', weekStart });
     
     if (!edition || !edition.id) {
       throw new Error('Weekly workflow failed to return valid edition');
@@ -425,7 +755,7 @@ async function regenerateWeekly(req, res) {
     // Get article count for response
     const { data: articles } = await supabase
       .from('analyzed_articles')
-      .select('id, analysis_text')
+      .select('id, analysis_text, analysis_status')
       .eq('edition_id', edition.id);
 
     const analyzedCount = articles?.filter(a => 
@@ -434,7 +764,9 @@ async function regenerateWeekly(req, res) {
       !a.analysis_text.includes('depends on implementation')
     ).length || 0;
 
-    console.log(`✅ Weekly regenerate completed in ${duration}s - ${articles?.length || 0} articles, ${analyzedCount} analyzed`);
+    const pendingCount = articles?.filter(a => a.analysis_status === 'pending').length || 0;
+
+    console.log(`✅ Weekly regenerate completed in ${duration}s - ${articles?.length || 0} articles, ${analyzedCount} analyzed, ${pendingCount} pending`);
 
     return res.json({
       success: true,
@@ -449,6 +781,7 @@ async function regenerateWeekly(req, res) {
         duration_seconds: duration,
         articles_processed: articles?.length || 0,
         articles_analyzed: analyzedCount,
+        articles_pending: pendingCount,
         success_rate: articles?.length > 0 ? Math.round((analyzedCount / articles.length) * 100) : 0
       },
       timestamp: new Date().toISOString()
@@ -470,32 +803,32 @@ async function regenerateWeekly(req, res) {
 }
 
 async function clearWeek(req, res) {
-  const weekStart = getWeekStart();
-  
   try {
-    const { data: edition, error: fetchError } = await supabase
-      .from('weekly_editions')
-      .select('id')
-      .eq('week_start_date', weekStart)
-      .single();
+    const { weekStart, edition, error: resolveError, status } = await resolveEdition(req);
+    if (resolveError) {
+      return res.status(status).json({ error: resolveError });
+    }
 
-    if (fetchError && fetchError.code !== 'PGRST116') {
-      throw fetchError;
+    if (edition && PROTECTED_STATUSES.includes(edition.status)) {
+      return res.status(409).json({
+        error: `Edition #${edition.issue_number} is ${edition.status} - it can't be cleared`
+      });
     }
 
     if (edition) {
-      // Delete articles first (foreign key constraint)
-      await supabase.from('analyzed_articles').delete().eq('edition_id', edition.id);
-      // Then delete edition
-      await supabase.from('weekly_editions').delete().eq('id', edition.id);
+      await deleteEdition(edition.id);
       console.log(`✅ Cleared weekly edition ${edition.id} for week ${weekStart}`);
     } else {
       console.log(`ℹ️ No weekly edition found for ${weekStart} to clear`);
     }
 
+    // Without this a regenerate would resume from the cleared run's saved articles
+    const { error: checkpointError } = await supabase.from('workflow_checkpoints').delete().eq('week_start_date', weekStart);
+    if (checkpointError) throw checkpointError;
+
     return res.json({ 
       success: true, 
-      message: `This week's edition cleared successfully`,
+      message: `Edition for the week of ${weekStart} cleared successfully`,
       week_start: weekStart
     });
   } catch (error) {
@@ -648,23 +981,718 @@ async function getTrends(req, res) {
   }
 }
 
-// ✅ FIXED: Standardized UTC-based week calculation
-function getWeekStart() {
-  const now = new Date();
-  
-  // Use UTC to avoid timezone issues
-  const utc = new Date(Date.UTC(
-    now.getUTCFullYear(),
-    now.getUTCMonth(),
-    now.getUTCDate()
-  ));
-  
-  const dayOfWeek = utc.getUTCDay();
-  const daysFromMonday = (dayOfWeek + 6) % 7; // Convert Sunday=0 to Monday=0 system
-  
-  // Calculate Monday of this week
-  const monday = new Date(utc);
-  monday.setUTCDate(utc.getUTCDate() - daysFromMonday);
-  
-  return monday.toISOString().split('T')[0];
+async function getSettings(req, res) {
+  try {
+    const { data, error } = await supabase
+      .from('app_settings')
+      .select('value, updated_at')
+      .eq('key', 'editorial')
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    // Stored values are validated on the way in; merge so new settings get their defaults
+    const { settings } = validateEditorialSettings(data?.value || {});
+
+    return res.json({
+      success: true,
+      settings,
+      defaults: DEFAULT_EDITORIAL_SETTINGS,
+      topics: TOPIC_IDS.map(id => ({ id, label: topicLabel(id) })),
+      personas: Object.entries(PERSONAS).map(([id, label]) => ({ id, label })),
+      updated_at: data?.updated_at || null
+    });
+  } catch (error) {
+    console.error('Failed to get settings:', error);
+    return res.status(500).json({ error: 'Failed to get settings: ' + error.message });
+  }
+}
+
+async function updateSettings(req, res) {
+  const { settings: input, reset = false } = req.body || {};
+
+  if (!reset && (!input || typeof input !== 'object' || Array.isArray(input))) {
+    return res.status(400).json({ error: 'settings object is required' });
+  }
+
+  try {
+    let current = DEFAULT_EDITORIAL_SETTINGS;
+    if (!reset) {
+      const { data, error } = await supabase
+        .from('app_settings')
+        .select('value')
+        .eq('key', 'editorial')
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+      current = validateEditorialSettings(data?.value || {}).settings;
+    }
+
+    const { settings, errors } = validateEditorialSettings(reset ? {} : input, current);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid settings', errors });
+    }
+
+    const updatedAt = new Date().toISOString();
+    const { error: upsertError } = await supabase
+      .from('app_settings')
+      .upsert({ key: 'editorial', value: settings, updated_at: updatedAt }, { onConflict: 'key' });
+
+    if (upsertError) {
+      throw upsertError;
+    }
+
+    console.log(`✅ Editorial settings ${reset ? 'reset' : 'updated'}:`, settings);
+
+    return res.json({
+      success: true,
+      settings,
+      updated_at: updatedAt,
+      message: reset ? 'Settings reset to defaults' : 'Settings saved'
+    });
+  } catch (error) {
+    console.error('Failed to update settings:', error);
+    return res.status(500).json({ error: 'Failed to update settings: ' + error.message });
+  }
+}
+
+async function getScoringRules(req, res) {
+  try {
+    const { data, error } = await supabase
+      .from('app_settings')
+      .select('value, updated_at')
+      .eq('key', 'scoring_rules')
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    const rules = data?.value ? validateScoringRules(data.value).rules : DEFAULT_SCORING_RULES;
+
+    return res.json({
+      success: true,
+      rules,
+      types: SCORING_RULE_TYPES,
+      isDefault: !data?.value,
+      updated_at: data?.updated_at || null
+    });
+  } catch (error) {
+    console.error('Failed to get scoring rules:', error);
+    return res.status(500).json({ error: 'Failed to get scoring rules: ' + error.message });
+  }
+}
+
+async function updateScoringRules(req, res) {
+  const { rules: input, reset = false } = req.body || {};
+
+  if (!reset && !Array.isArray(input)) {
+    return res.status(400).json({ error: 'rules array is required' });
+  }
+
+  try {
+    const { rules, errors } = validateScoringRules(reset ? DEFAULT_SCORING_RULES : input);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scoring rules', errors });
+    }
+
+    const updatedAt = new Date().toISOString();
+    const { error: upsertError } = await supabase
+      .from('app_settings')
+      .upsert({ key: 'scoring_rules', value: rules, updated_at: updatedAt }, { onConflict: 'key' });
+
+    if (upsertError) {
+      throw upsertError;
+    }
+
+    console.log(`✅ Scoring rules ${reset ? 'reset' : 'updated'}: ${rules.length} rules`);
+
+    return res.json({
+      success: true,
+      rules,
+      updated_at: updatedAt,
+      message: reset ? 'Scoring rules reset to defaults' : 'Scoring rules saved - they apply from the next weekly run'
+    });
+  } catch (error) {
+    console.error('Failed to update scoring rules:', error);
+    return res.status(500).json({ error: 'Failed to update scoring rules: ' + error.message });
+  }
+}
+
+async function listPrompts(req, res) {
+  try {
+    const { data: prompts, error } = await supabase
+      .from('analysis_prompts')
+      .select('*')
+      .order('version', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    const active = prompts.find(p => p.is_active);
+
+    return res.json({
+      success: true,
+      prompts,
+      activeVersion: active?.version || null,
+      // Until a version is activated the workflow uses SYSTEM_PROMPT/USER_PROMPT
+      usingEnvironment: !active,
+      environment: {
+        systemPrompt: process.env.SYSTEM_PROMPT || '',
+        userPrompt: process.env.USER_PROMPT || ''
+      }
+    });
+  } catch (error) {
+    console.error('Failed to list prompts:', error);
+    return res.status(500).json({ error: 'Failed to list prompts: ' + error.message });
+  }
+}
+
+async function createPrompt(req, res) {
+  const { systemPrompt, userPrompt, author, note, activate = false } = req.body || {};
+
+  if (!systemPrompt || !systemPrompt.trim() || !userPrompt || !userPrompt.trim()) {
+    return res.status(400).json({ error: 'systemPrompt and userPrompt are required' });
+  }
+
+  if (!userPrompt.includes('{title}')) {
+    return res.status(400).json({ error: 'userPrompt must contain the {title} placeholder' });
+  }
+
+  try {
+    const { data: latest, error: latestError } = await supabase
+      .from('analysis_prompts')
+      .select('version')
+      .order('version', { ascending: false })
+      .limit(1)
+      .single();
+
+    if (latestError && latestError.code !== 'PGRST116') {
+      throw latestError;
+    }
+
+    const { data: prompt, error: insertError } = await supabase
+      .from('analysis_prompts')
+      .insert({
+        version: (latest?.version || 0) + 1,
+        system_prompt: systemPrompt.trim(),
+        user_prompt: userPrompt.trim(),
+        author: (author || 'admin').trim().substring(0, 100),
+        note: (note || '').trim().substring(0, 500),
+        is_active: false,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      throw insertError;
+    }
+
+    console.log(`✅ Created prompt v${prompt.version} by ${prompt.author}`);
+
+    if (activate) {
+      await activatePromptVersion(prompt.version);
+      prompt.is_active = true;
+    }
+
+    return res.json({
+      success: true,
+      prompt,
+      message: `Prompt v${prompt.version} created${activate ? ' and activated' : ''}`
+    });
+  } catch (error) {
+    console.error('Failed to create prompt:', error);
+    return res.status(500).json({ error: 'Failed to create prompt: ' + error.message });
+  }
+}
+
+async function diffPrompts(req, res) {
+  const from = parseInt(req.query.from || req.body?.from);
+  const to = req.query.to || req.body?.to;
+
+  if (!from) {
+    return res.status(400).json({ error: 'from version is required' });
+  }
+
+  try {
+    // Compare against the active version unless "to" is given
+    let query = supabase.from('analysis_prompts').select('*');
+    query = to ? query.in('version', [from, parseInt(to)]) : query.or(`version.eq.${from},is_active.eq.true`);
+    const { data: prompts, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    const older = prompts.find(p => p.version === from);
+    const newer = to ? prompts.find(p => p.version === parseInt(to)) : prompts.find(p => p.is_active);
+
+    if (!older || !newer) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    return res.json({
+      success: true,
+      from: older.version,
+      to: newer.version,
+      system: diffLines(older.system_prompt, newer.system_prompt),
+      user: diffLines(older.user_prompt, newer.user_prompt)
+    });
+  } catch (error) {
+    console.error('Failed to diff prompts:', error);
+    return res.status(500).json({ error: 'Failed to diff prompts: ' + error.message });
+  }
+}
+
+async function activatePrompt(req, res) {
+  const version = parseInt(req.body?.version);
+
+  if (!version) {
+    return res.status(400).json({ error: 'version is required' });
+  }
+
+  try {
+    const prompt = await activatePromptVersion(version);
+    if (!prompt) {
+      return res.status(404).json({ error: `Prompt v${version} not found` });
+    }
+
+    return res.json({ success: true, prompt, message: `Prompt v${version} is now active` });
+  } catch (error) {
+    console.error('Failed to activate prompt:', error);
+    return res.status(500).json({ error: 'Failed to activate prompt: ' + error.message });
+  }
+}
+
+// Re-activates the version that was active before the current one; repeated rollbacks keep
+// walking back (v3 -> v2 -> v1) instead of toggling between the last two
+async function rollbackPrompt(req, res) {
+  try {
+    const { data: active, error } = await supabase
+      .from('analysis_prompts')
+      .select('version, previous_version')
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!active?.previous_version) {
+      return res.status(400).json({ error: 'No earlier prompt version to roll back to' });
+    }
+
+    const prompt = await activatePromptVersion(active.previous_version, { rollback: true });
+    if (!prompt) {
+      return res.status(404).json({ error: `Prompt v${active.previous_version} no longer exists` });
+    }
+
+    return res.json({ success: true, prompt, message: `Rolled back to prompt v${prompt.version}` });
+  } catch (error) {
+    console.error('Failed to roll back prompt:', error);
+    return res.status(500).json({ error: 'Failed to roll back prompt: ' + error.message });
+  }
+}
+
+// Recent workflow_runs without the per-attempt rejection list (get-run has everything)
+async function listRuns(req, res) {
+  const limit = Math.min(parseInt(req.query.limit || '30') || 30, 100);
+
+  try {
+    const { data: runs, error } = await supabase
+      .from('workflow_runs')
+      .select('id, trigger, status, week_start_date, edition_id, resumed_from, model, providers, counts, error, started_at, finished_at, duration_ms')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return res.json({ success: true, runs });
+  } catch (error) {
+    console.error('Failed to list workflow runs:', error);
+    return res.status(500).json({ error: 'Failed to list workflow runs: ' + error.message });
+  }
+}
+
+async function getRun(req, res) {
+  const id = req.query.id || req.body?.id;
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  try {
+    const { data: run, error } = await supabase
+      .from('workflow_runs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    if (!run) {
+      return res.status(404).json({ error: 'Workflow run not found' });
+    }
+
+    return res.json({ success: true, run });
+  } catch (error) {
+    console.error('Failed to load workflow run:', error);
+    return res.status(500).json({ error: 'Failed to load workflow run: ' + error.message });
+  }
+}
+
+// Editor sign-off: schedules the edition for scheduledFor, or the default publish time from
+// settings. A draft can be approved directly once the editor has filled in what's missing.
+async function approveEdition(req, res) {
+  const { editionId, scheduledFor } = req.body || {};
+  const time = parseScheduleTime(scheduledFor);
+  if (scheduledFor && !time) {
+    return res.status(400).json({ error: `Invalid scheduledFor "${scheduledFor}"` });
+  }
+
+  return transitionEdition(res, editionId, ['draft', 'in_review'], 'approve', async (publisher, edition) => ({
+    status: 'scheduled',
+    scheduled_for: time || publisher.defaultPublishTime(edition.week_start_date),
+    approved_at: new Date().toISOString()
+  }));
+}
+
+// Moves an approved edition's publish time
+async function scheduleEdition(req, res) {
+  const { editionId, scheduledFor } = req.body || {};
+  const time = parseScheduleTime(scheduledFor);
+  if (!time) {
+    return res.status(400).json({ error: scheduledFor ? `Invalid scheduledFor "${scheduledFor}"` : 'scheduledFor is required' });
+  }
+
+  return transitionEdition(res, editionId, ['scheduled'], 'schedule', async () => ({
+    status: 'scheduled',
+    scheduled_for: time
+  }));
+}
+
+// Takes an edition off the schedule and back to review
+async function unscheduleEdition(req, res) {
+  const { editionId } = req.body || {};
+  return transitionEdition(res, editionId, ['scheduled'], 'unschedule', async () => ({
+    status: 'in_review',
+    scheduled_for: null,
+    approved_at: null
+  }));
+}
+
+// ISO string, or null if missing or unparseable. Past times are allowed and mean "on the next
+// publish check".
+function parseScheduleTime(value) {
+  const time = value ? new Date(value) : null;
+  return time && !isNaN(time) ? time.toISOString() : null;
+}
+
+async function transitionEdition(res, editionId, fromStatuses, verb, buildUpdate) {
+  if (!editionId) {
+    return res.status(400).json({ error: 'editionId is required' });
+  }
+
+  try {
+    const { data: edition, error } = await supabase
+      .from('weekly_editions')
+      .select('id, issue_number, status, week_start_date')
+      .eq('id', editionId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    if (!edition) {
+      return res.status(404).json({ error: 'Edition not found' });
+    }
+
+    if (!fromStatuses.includes(edition.status)) {
+      return res.status(409).json({ error: `Cannot ${verb} an edition that is ${edition.status}` });
+    }
+
+    const publisher = new AutomatedWeeklyPublisher();
+    await publisher.loadSettings();
+    const { status, ...fields } = await buildUpdate(publisher, edition);
+
+    const updated = await publisher.setEditionStatus(edition.id, status, fromStatuses, fields);
+    if (!updated) {
+      return res.status(409).json({ error: 'Edition changed status while updating - reload and try again' });
+    }
+
+    console.log(`🗓️ Edition #${updated.issue_number}: ${edition.status} → ${updated.status}${updated.scheduled_for ? ` (${updated.scheduled_for})` : ''}`);
+
+    return res.json({
+      success: true,
+      edition: updated,
+      message: updated.status === 'scheduled'
+        ? `Issue #${updated.issue_number} scheduled for ${updated.scheduled_for}`
+        : `Issue #${updated.issue_number} moved back to review`
+    });
+  } catch (error) {
+    console.error(`❌ Failed to ${verb} edition:`, error);
+    return res.status(500).json({ error: `Failed to ${verb} edition: ` + error.message });
+  }
+}
+
+// Sends the edition to recipients not yet sent to; retries failed sends
+async function sendNewsletter(req, res) {
+  try {
+    const { weekStart, edition, error: resolveError, status } = await resolveEdition(req);
+    if (resolveError) {
+      return res.status(status).json({ error: resolveError });
+    }
+
+    if (!edition) {
+      return res.status(404).json({ error: `No weekly edition found for the week of ${weekStart}` });
+    }
+
+    if (!['published', 'sent', 'delivery_failed'].includes(edition.status)) {
+      return res.status(400).json({ error: `Edition is ${edition.status} - publish it before sending` });
+    }
+
+    const publisher = new AutomatedWeeklyPublisher({ trigger: 'admin' });
+    if (!publisher.delivery.isConfigured) {
+      return res.status(400).json({ error: 'SMTP not configured (SMTP_HOST)' });
+    }
+
+    // After a delivery_failed (e.g. SMTP credentials fixed) everyone who failed gets another try
+    const delivery = await publisher.markNewsletterSent(edition.id, { retryFailed: edition.status === 'delivery_failed' });
+    if (delivery.error) {
+      throw new Error(delivery.error);
+    }
+
+    return res.json({
+      success: true,
+      issue_number: edition.issue_number,
+      delivery,
+      message: delivery.complete
+        ? `Issue #${edition.issue_number} sent to ${delivery.sent} of ${delivery.total} recipients`
+        : delivery.undeliverable
+          ? `Delivery failed: none of ${delivery.failed} sends succeeded - check the SMTP settings and send again`
+          : `Delivery incomplete: ${delivery.sent} sent, ${delivery.failed} failed, ${delivery.pending} pending, ${delivery.sending} in progress`
+    });
+  } catch (error) {
+    console.error('❌ Failed to send newsletter:', error);
+    return res.status(500).json({ error: 'Failed to send newsletter: ' + error.message });
+  }
+}
+
+async function listDeliveries(req, res) {
+  const editionId = req.query.editionId || req.body?.editionId;
+  if (!editionId) {
+    return res.status(400).json({ error: 'editionId is required' });
+  }
+
+  try {
+    const deliveries = await new NewsletterDelivery().listDeliveries(editionId);
+    return res.json({ success: true, deliveries, summary: summarizeDeliveries(deliveries) });
+  } catch (error) {
+    console.error('Failed to list newsletter deliveries:', error);
+    return res.status(500).json({ error: 'Failed to list newsletter deliveries: ' + error.message });
+  }
+}
+
+const SUBSCRIBER_COLUMNS = 'id, email, status, source, subscribed_at, confirmed_at, unsubscribed_at, updated_at';
+
+// ?q= searches email addresses, ?status= filters; paged with ?limit= and ?offset=
+async function listSubscribers(req, res) {
+  const limit = Math.min(parseInt(req.query.limit || '50') || 50, 200);
+  const offset = Math.max(parseInt(req.query.offset || '0') || 0, 0);
+  const { q, status } = req.query;
+
+  if (status && !SUBSCRIBER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${SUBSCRIBER_STATUSES.join(', ')}` });
+  }
+
+  try {
+    let query = supabase
+      .from('subscribers')
+      .select(SUBSCRIBER_COLUMNS, { count: 'exact' })
+      .order('subscribed_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (q) query = query.ilike('email', `%${q.trim().replace(/[%_]/g, '\\$&')}%`);
+    if (status) query = query.eq('status', status);
+
+    const { data: subscribers, count, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    // Totals per status for the tab header, independent of the search
+    const counts = {};
+    for (const s of SUBSCRIBER_STATUSES) {
+      const { count: statusCount } = await supabase
+        .from('subscribers')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', s);
+      counts[s] = statusCount || 0;
+    }
+
+    return res.json({ success: true, subscribers, total: count || 0, limit, offset, counts });
+  } catch (error) {
+    console.error('Failed to list subscribers:', error);
+    return res.status(500).json({ error: 'Failed to list subscribers: ' + error.message });
+  }
+}
+
+// CSV of every subscriber (or one ?status=)
+async function exportSubscribers(req, res) {
+  const { status } = req.query;
+  if (status && !SUBSCRIBER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${SUBSCRIBER_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const rows = [];
+    // PostgREST caps each response, so page through
+    for (let from = 0; ; from += 1000) {
+      let query = supabase
+        .from('subscribers')
+        .select(SUBSCRIBER_COLUMNS)
+        .order('subscribed_at', { ascending: true })
+        .range(from, from + 999);
+      if (status) query = query.eq('status', status);
+
+      const { data, error } = await query;
+      if (error) {
+        throw error;
+      }
+      rows.push(...(data || []));
+      if (!data || data.length < 1000) break;
+    }
+
+    const columns = ['email', 'status', 'source', 'subscribed_at', 'confirmed_at', 'unsubscribed_at'];
+    const csvCell = value => {
+      let text = value === null || value === undefined ? '' : String(value);
+      // Keep spreadsheets from running a signed-up "email" as a formula
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csv = [columns.join(','), ...rows.map(r => columns.map(c => csvCell(r[c])).join(','))].join('\n') + '\n';
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="subscribers-${new Date().toISOString().split('T')[0]}.csv"`);
+    return res.status(200).send(csv);
+  } catch (error) {
+    console.error('Failed to export subscribers:', error);
+    return res.status(500).json({ error: 'Failed to export subscribers: ' + error.message });
+  }
+}
+
+// Deletes the row outright, unlike unsubscribing; the address can sign up again
+async function removeSubscriber(req, res) {
+  const id = req.body?.id || req.query.id;
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  try {
+    const { data: subscriber, error } = await supabase
+      .from('subscribers')
+      .delete()
+      .eq('id', id)
+      .select('id, email')
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!subscriber) {
+      return res.status(404).json({ error: 'Subscriber not found' });
+    }
+
+    console.log(`🗑️ Admin removed subscriber ${subscriber.id}`);
+    return res.json({ success: true, message: `Removed ${subscriber.email}` });
+  } catch (error) {
+    console.error('Failed to remove subscriber:', error);
+    return res.status(500).json({ error: 'Failed to remove subscriber: ' + error.message });
+  }
+}
+
+// Deactivates the current version and activates the new one in a single upsert - one statement,
+// so a failure can't leave no version (or two) active. previous_version records what was active
+// before, which rollback walks back through; a rollback keeps the target's own previous_version.
+async function activatePromptVersion(version, { rollback = false } = {}) {
+  const { data: rows, error: findError } = await supabase
+    .from('analysis_prompts')
+    .select('*')
+    .or(`version.eq.${version},is_active.eq.true`);
+
+  if (findError) {
+    throw findError;
+  }
+
+  const target = rows.find(p => p.version === version);
+  if (!target) {
+    return null;
+  }
+
+  const current = rows.filter(p => p.is_active && p.id !== target.id);
+  if (target.is_active && current.length === 0) {
+    return target;
+  }
+
+  const { data: updated, error: activateError } = await supabase
+    .from('analysis_prompts')
+    .upsert([
+      ...current.map(p => ({ ...p, is_active: false })),
+      {
+        ...target,
+        is_active: true,
+        activated_at: new Date().toISOString(),
+        previous_version: rollback ? target.previous_version ?? null : current[0]?.version ?? null
+      }
+    ], { onConflict: 'id' })
+    .select();
+
+  if (activateError) {
+    throw activateError;
+  }
+
+  console.log(`✅ Activated prompt v${version}${rollback ? ' (rollback)' : ''}`);
+  return updated.find(p => p.id === target.id);
+}
+
+// Line diff via longest common subsequence: [{ type: 'same' | 'added' | 'removed', line }]
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: 'removed', line: a[i++] });
+    } else {
+      out.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < a.length) out.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) out.push({ type: 'added', line: b[j++] });
+
+  return out;
 }
@@ -0,0 +1,155 @@
+// api/archive.js - Public archive of released editions: paged list, or one edition by issue number or week
+import { createClient } from '@supabase/supabase-js';
+import { PERSONA_IDS } from './cron/personas.js';
+import { RELEASED_STATUSES, ARTICLE_COLUMNS, formatPublicArticle } from './cron/public-articles.js';
+import { addDays, weekStartOf, getWeekStart } from './cron/week-dates.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const EDITION_COLUMNS = 'id, issue_number, week_start_date, week_end_date, featured_headline, published_at';
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// CORS headers
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With');
+  res.setHeader('Access-Control-Max-Age', '86400');
+  res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=600');
+}
+
+// GET ?page=&limit=          - released editions, newest first
+// GET ?issue=<n>             - one edition with its published articles (what /issue/<n> shows)
+// GET ?week=YYYY-MM-DD       - the edition for the week containing that date
+// ?persona= orders persona notes the same way as fetch-news
+export default async function handler(req, res) {
+  setCorsHeaders(res);
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    return res.status(503).json({ error: 'Database not configured' });
+  }
+
+  try {
+    if (req.query.issue || req.query.week) {
+      return await getEdition(req, res);
+    }
+    return await listEditions(req, res);
+  } catch (error) {
+    console.error('❌ Archive API error:', error);
+    return res.status(500).json({ error: 'Failed to load archive: ' + error.message });
+  }
+}
+
+async function listEditions(req, res) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const offset = (page - 1) * limit;
+
+  const { data: editions, count, error } = await supabase
+    .from('weekly_editions')
+    .select(EDITION_COLUMNS, { count: 'exact' })
+    .in('status', RELEASED_STATUSES)
+    .order('week_start_date', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+
+  const total = count || 0;
+  return res.json({
+    editions: (editions || []).map(formatArchiveEdition),
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit)
+  });
+}
+
+async function getEdition(req, res) {
+  let query = supabase
+    .from('weekly_editions')
+    .select(EDITION_COLUMNS)
+    .in('status', RELEASED_STATUSES);
+
+  if (req.query.issue) {
+    const issue = parseInt(req.query.issue);
+    if (!(issue > 0) || String(issue) !== String(req.query.issue)) {
+      return res.status(400).json({ error: 'issue must be a positive issue number' });
+    }
+    query = query.eq('issue_number', issue);
+  } else {
+    const week = weekStartOf(req.query.week);
+    if (!week) {
+      return res.status(400).json({ error: 'week must be a date (YYYY-MM-DD)' });
+    }
+    query = query.eq('week_start_date', week);
+  }
+
+  const { data: edition, error } = await query.maybeSingle();
+  if (error) throw error;
+  if (!edition) {
+    return res.status(404).json({ error: 'Issue not found' });
+  }
+
+  const persona = PERSONA_IDS.includes(req.query.persona) ? req.query.persona : null;
+
+  const { data: rows, error: artErr } = await supabase
+    .from('analyzed_articles')
+    .select(ARTICLE_COLUMNS)
+    .eq('edition_id', edition.id)
+    .eq('article_status', 'published')
+    .order('article_order', { ascending: true })
+    .limit(10);
+
+  if (artErr) throw artErr;
+
+  const articles = (rows || []).map(a => formatPublicArticle(a, persona));
+  const { previous, next } = await getNeighbours(edition.week_start_date);
+
+  console.log(`📚 Archive: issue #${edition.issue_number} with ${articles.length} articles`);
+
+  return res.json({
+    articles,
+    count: articles.length,
+    edition_info: {
+      ...formatArchiveEdition(edition),
+      is_automated: true,
+      is_current_week: edition.week_start_date === getWeekStart(),
+      published_articles: articles.length,
+      previous_issue: previous,
+      next_issue: next
+    }
+  });
+}
+
+// Issue numbers of the released editions either side, for prev/next links
+async function getNeighbours(weekStart) {
+  const released = () => supabase
+    .from('weekly_editions')
+    .select('issue_number')
+    .in('status', RELEASED_STATUSES);
+
+  const [before, after] = await Promise.all([
+    released().lt('week_start_date', weekStart).order('week_start_date', { ascending: false }).limit(1).maybeSingle(),
+    released().gt('week_start_date', weekStart).order('week_start_date', { ascending: true }).limit(1).maybeSingle()
+  ]);
+  if (before.error) throw before.error;
+  if (after.error) throw after.error;
+
+  return { previous: before.data?.issue_number || null, next: after.data?.issue_number || null };
+}
+
+function formatArchiveEdition(edition) {
+  return {
+    issue_number: edition.issue_number,
+    week_start_date: edition.week_start_date,
+    week_end_date: edition.week_end_date || addDays(edition.week_start_date, 6),
+    featured_headline: edition.featured_headline || null,
+    published_at: edition.published_at || null,
+    url: `/issue/${edition.issue_number}`
+  };
+}
@@ -1,57 +1,485 @@
 // api/cron/automated-weekly-workflow.js - OPTIMIZED weekly workflow
 import { createClient } from '@supabase/supabase-js';
+import { extractArticleContent, decodeEntities } from '../extract-content.js';
+import { WorkflowFixtures } from './workflow-fixtures.js';
+import { DEFAULT_SCORING_RULES, validateScoringRules, scoreArticle, containsTerm } from './scoring-rules.js';
+import { TOPIC_IDS, classifyTopic } from './topics.js';
+import { canonicalizeUrl } from './canonical-url.js';
+import { ModelClient } from './model-client.js';
+import { PERSONAS, PERSONA_IDS } from './personas.js';
+import { CLAIM_CHECK_MODES, checkClaims } from './claim-check.js';
+import { WorkflowRun } from './workflow-run.js';
+import { NewsletterDelivery } from './newsletter-delivery.js';
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
+// Stages of a weekly run, in order; each one is checkpointed when it completes
+const WORKFLOW_STAGES = ['fetched', 'selected', 'analyzed', 'stored'];
+
+// Edition lifecycle. The workflow stores a draft, which moves to in_review once no analysis is
+// pending; an editor approves (scheduled), the publish check releases it at scheduled_for
+// (published) and emails it (sent). If every send fails it stops at delivery_failed until an
+// admin resends. Published, sent and delivery_failed editions are public.
+const EDITION_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'sent', 'delivery_failed'];
+
+// Editions published this recently get an unfinished delivery resumed by the publish check;
+// older ones still unsent go to delivery_failed for an admin to resend
+const DELIVERY_RETRY_MS = 2 * 86400000;
+
+// No model call starts with less than this left before the run deadline
+const MIN_ATTEMPT_MS = 15000;
+
+// Editorial settings editors tune from the admin panel (app_settings row 'editorial')
+const DEFAULT_EDITORIAL_SETTINGS = {
+  maxArticles: 10,    // Articles analyzed and published per edition
+  daysBack: 7,        // News window in days
+  minScore: 0,        // Candidates scoring below this are dropped
+  wordMin: 20,        // Shortest acceptable analysis
+  wordMax: 250,       // Longer analyses are trimmed to this
+  temperature: 0.4,   // Model temperature
+  similarity: 0.75,   // Title similarity above which stories are the same story
+  clusterSimilarity: 0.35, // Title + description similarity for differently worded coverage
+  repeatLookback: 4,  // Previous editions checked for stories we already ran
+  repeatPenalty: 60,  // Points taken off a repeat without a new development
+  maxPerTopic: 3,     // Default cap on published stories per topic
+  topicLimits: {},    // Per-topic overrides: { health: { min: 1, max: 4 } }
+  personas: [],       // Audiences that get a short impact note per article (empty = off)
+  claimCheck: 'flag', // Facts in the analysis missing from the article: off, flag or reject
+  publishWeekday: 1,  // Default publish day for approved editions (0 = Sunday, 1 = Monday)
+  publishHour: 12     // Default publish hour, UTC (12:00 UTC = 7am EST)
+};
+
+// Words that signal a story has moved on since we last covered it
+const DEVELOPMENT_TERMS = [
+  'passes', 'passed', 'signs', 'signed', 'ruled', 'ruling', 'rules', 'blocks', 'blocked',
+  'approves', 'approved', 'vetoes', 'vetoed', 'strikes down', 'upholds', 'takes effect',
+  'final rule', 'indicted', 'settles', 'settlement', 'overturns', 'repeals', 'delays'
+];
+
+// Appended to every user prompt; the public page renders the two fields as separate sections
+const STRUCTURED_OUTPUT_INSTRUCTIONS = `Respond with only a JSON object with two string fields:
+"whats_happening": what is happening, in plain language,
+"affects_me": how it changes everyday life for an ordinary reader.
+Write prose paragraphs - no markdown, no lists.`;
+
+const EDITORIAL_SETTING_RULES = {
+  maxArticles: { type: 'int', min: 1, max: 10 },
+  daysBack: { type: 'int', min: 1, max: 30 },
+  minScore: { type: 'int', min: 0, max: 1000 },
+  wordMin: { type: 'int', min: 10, max: 500 },
+  wordMax: { type: 'int', min: 20, max: 1000 },
+  temperature: { type: 'number', min: 0, max: 2 },
+  similarity: { type: 'number', min: 0.3, max: 1 },
+  clusterSimilarity: { type: 'number', min: 0.1, max: 1 },
+  repeatLookback: { type: 'int', min: 0, max: 12 },
+  repeatPenalty: { type: 'int', min: 0, max: 1000 },
+  maxPerTopic: { type: 'int', min: 1, max: 10 },
+  topicLimits: { type: 'topics', min: 0, max: 10 },
+  personas: { type: 'personas' },
+  claimCheck: { type: 'choice', options: CLAIM_CHECK_MODES },
+  publishWeekday: { type: 'int', min: 0, max: 6 },
+  publishHour: { type: 'int', min: 0, max: 23 }
+};
+
+// Returns { settings, errors } - settings is the input merged over the defaults
+function validateEditorialSettings(input, base = DEFAULT_EDITORIAL_SETTINGS) {
+  const settings = { ...DEFAULT_EDITORIAL_SETTINGS, ...base };
+  const errors = [];
+
+  Object.entries(input || {}).forEach(([key, raw]) => {
+    const rule = EDITORIAL_SETTING_RULES[key];
+    if (!rule) {
+      errors.push(`Unknown setting "${key}"`);
+      return;
+    }
+
+    if (rule.type === 'topics') {
+      const { limits, errors: topicErrors } = validateTopicLimits(raw, rule);
+      errors.push(...topicErrors);
+      if (topicErrors.length === 0) settings[key] = limits;
+      return;
+    }
+
+    if (rule.type === 'personas') {
+      const list = Array.isArray(raw) ? raw : [];
+      const unknown = list.filter(p => !PERSONA_IDS.includes(p));
+      if (!Array.isArray(raw) || unknown.length > 0) {
+        errors.push(`personas must be a list of: ${PERSONA_IDS.join(', ')}`);
+        return;
+      }
+      settings[key] = [...new Set(list)];
+      return;
+    }
+
+    if (rule.type === 'choice') {
+      if (!rule.options.includes(raw)) {
+        errors.push(`${key} must be one of: ${rule.options.join(', ')}`);
+        return;
+      }
+      settings[key] = raw;
+      return;
+    }
+
+    const value = typeof raw === 'string' ? Number(raw) : raw;
+    if (typeof value !== 'number' || isNaN(value) || (rule.type === 'int' && !Number.isInteger(value))) {
+      errors.push(`${key} must be ${rule.type === 'int' ? 'a whole number' : 'a number'}`);
+      return;
+    }
+    if (value < rule.min || value > rule.max) {
+      errors.push(`${key} must be between ${rule.min} and ${rule.max}`);
+      return;
+    }
+
+    settings[key] = value;
+  });
+
+  // Values that are fine alone but conflict with each other fall back too (to the base values,
+  // or the defaults if the base itself conflicts) so the returned settings are always usable
+  if (settings.wordMin >= settings.wordMax) {
+    errors.push('wordMin must be lower than wordMax');
+    const fallback = base.wordMin < base.wordMax ? base : DEFAULT_EDITORIAL_SETTINGS;
+    settings.wordMin = fallback.wordMin;
+    settings.wordMax = fallback.wordMax;
+  }
+
+  const sumMinimums = limits => Object.values(limits || {}).reduce((sum, l) => sum + (l.min || 0), 0);
+  const minimums = sumMinimums(settings.topicLimits);
+  if (minimums > settings.maxArticles) {
+    errors.push(`Topic minimums add up to ${minimums}, more than maxArticles (${settings.maxArticles})`);
+    settings.topicLimits = sumMinimums(base.topicLimits) <= settings.maxArticles
+      ? base.topicLimits
+      : DEFAULT_EDITORIAL_SETTINGS.topicLimits;
+  }
+
+  return { settings, errors };
+}
+
+// { topic: { min, max } } - either bound may be omitted; unknown topics are rejected
+function validateTopicLimits(input, rule) {
+  const errors = [];
+  const limits = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { limits, errors: ['topicLimits must be an object keyed by topic'] };
+  }
+
+  Object.entries(input).forEach(([topic, bounds]) => {
+    if (!TOPIC_IDS.includes(topic)) {
+      errors.push(`Unknown topic "${topic}"`);
+      return;
+    }
+
+    const clean = {};
+    ['min', 'max'].forEach(bound => {
+      const raw = bounds?.[bound];
+      if (raw === undefined || raw === null || raw === '') return;
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+        errors.push(`topicLimits.${topic}.${bound} must be a whole number between ${rule.min} and ${rule.max}`);
+        return;
+      }
+      clean[bound] = value;
+    });
+
+    if (clean.min !== undefined && clean.max !== undefined && clean.min > clean.max) {
+      errors.push(`topicLimits.${topic}: min cannot be above max`);
+      return;
+    }
+    if (Object.keys(clean).length > 0) limits[topic] = clean;
+  });
+
+  return { limits, errors };
+}
+
 class AutomatedWeeklyPublisher {
-  constructor() {
+  constructor(options = {}) {
     this.maxArticles = 75; // Larger pool for weekly curation
     this.numAnalyzed = 10; // Final curated selection
     this.maxRetries = 3;
     this.retryDelay = 1500;
     this.startTime = Date.now();
     this.apiRequestCount = 0; // Track API usage
+    this.settingsOverride = options.settings || null;
+    this.applySettings(DEFAULT_EDITORIAL_SETTINGS);
+    this.scoringRules = DEFAULT_SCORING_RULES;
+    this.prompt = null;
+
+    // Analysis runs ANALYSIS_CONCURRENCY model calls at once and stops starting new ones at
+    // RUN_BUDGET_MS, leaving the rest of Vercel's maxDuration (300s) to store the edition
+    this.concurrency = options.concurrency || parseInt(process.env.ANALYSIS_CONCURRENCY || '3');
+    this.deadline = this.startTime + (options.budgetMs || parseInt(process.env.RUN_BUDGET_MS || '240000'));
+    this.modelTimeout = parseInt(process.env.MODEL_TIMEOUT_MS || '60000');
+
+    // Record/replay of provider and model calls (WORKFLOW_FIXTURE_MODE=record|replay)
+    this.fixtures = new WorkflowFixtures(options.fixtures || {
+      mode: process.env.WORKFLOW_FIXTURE_MODE,
+      dir: process.env.WORKFLOW_FIXTURE_DIR
+    });
+    // Dry runs never write to Supabase; replay is always a dry run
+    this.dryRun = !!options.dryRun || this.fixtures.isReplay;
+    // Start from fetching even if this week has a checkpoint
+    this.fresh = !!options.fresh;
+    // Week to build (YYYY-MM-DD Monday); defaults to the current one, admins can prepare the next
+    this.weekStart = options.weekStart || null;
+    // The clock for date windows, freshness scoring and the current week - recorded with the
+    // fixtures so a replay sees the same "now"; options.now pins it
+    this.clock = options.now ? new Date(options.now).getTime() : null;
+    this.checkpoint = null;
+    // workflow_runs record for runFullWorkflow; options.trigger says who started it
+    this.run = new WorkflowRun({ trigger: options.trigger, dryRun: this.dryRun });
+    // SMTP delivery of the published edition (SMTP_* / NEWSLETTER_* env)
+    this.delivery = options.delivery || new NewsletterDelivery();
+
+    // LLM_PROVIDER / LLM_BASE_URL / LLM_MODEL / LLM_API_KEY; model calls are recorded like provider calls
+    this.model = options.model || ModelClient.fromEnv(
+      (url, fetchOptions, key) => this.externalFetch('model', key, url, fetchOptions)
+    );
   }
 
   async runFullWorkflow() {
     console.log('🚀 Starting weekly workflow...');
-    const edition = await this.curateAndAnalyze();
-    await this.publishToWebsite(edition.id);
-    await this.markNewsletterSent(edition.id);
-    console.log('✅ Weekly workflow completed');
-    return edition;
+    await this.startClock();
+    const weekStart = this.weekStart || this.getWeekStart();
+    await this.run.start({ week_start_date: weekStart, model: this.model.label });
+
+    try {
+      await this.loadSettings();
+      this.checkpoint = await this.loadCheckpoint(weekStart);
+
+      // Generation stops at review - publishing waits for an editor's approval
+      const edition = await this.curateAndAnalyze(weekStart);
+      await this.submitForReview(edition);
+
+      await this.run.finish();
+      console.log('✅ Weekly workflow completed');
+      return edition;
+    } catch (error) {
+      await this.run.finish(error);
+      throw error;
+    }
   }
 
-  async curateAndAnalyze() {
-    const weekStart = this.getWeekStart();
+  async curateAndAnalyze(weekStart = this.getWeekStart()) {
     const existing = await this.findEdition(weekStart);
     if (existing) {
       console.log(`📰 Edition already exists for week ${weekStart}, returning existing`);
+      this.run.set({ edition_id: existing.id, resumed_from: this.checkpoint?.stage || 'stored' });
+      const filled = await this.fillPendingAnalyses(existing.id);
+      await this.run.stage('filled-pending', { filled });
       return existing;
     }
 
-    // Fetch articles for the past week
-    const articles = await this.fetchWeeklyNewsWithTrends();
-    console.log('🔵 fetchWeeklyNews returned:', articles.length, 'articles');
+    // Pick up after the last completed stage. 'stored' checkpoints carry no
+    // articles, so if their edition has since been cleared the run starts over.
+    let articles = this.resumeFrom('fetched');
+    let selected = this.resumeFrom('selected');
+    let analyzed = this.resumeFrom('analyzed');
+    if (articles || selected || analyzed) {
+      console.log(`⏯️ Resuming week ${weekStart} after the "${this.checkpoint.stage}" stage`);
+      this.run.set({ resumed_from: this.checkpoint.stage });
+    }
 
-    if (articles.length === 0) {
-      throw new Error('No articles could be fetched from any source');
+    if (!articles && !selected && !analyzed) {
+      // Fetch articles for the past week
+      articles = await this.fetchWeeklyNewsWithTrends();
+      console.log('🔵 fetchWeeklyNews returned:', articles.length, 'articles');
+
+      if (articles.length === 0) {
+        throw new Error('No articles could be fetched from any source');
+      }
+      await this.saveCheckpoint(weekStart, 'fetched', articles);
+      this.run.count({ fetched: articles.length });
+      await this.run.stage('fetched', { articles: articles.length });
     }
 
-    const selected = this.selectBest(articles);
-    console.log('🟡 selectBest after filtering:', selected.length, 'articles');
+    if (!selected && !analyzed) {
+      // Stories from recent editions, so we don't run the same one two weeks in a row
+      this.recentArticles = await this.loadRecentArticles(weekStart);
 
-    // Generate trend context for this week
-    const trendContext = await this.generateWeeklyTrends();
-    
-    const analyzed = await this.analyzeAllWithTrends(selected, trendContext);
-    const edition = await this.createEdition(weekStart, analyzed, 'published');
+      selected = this.selectBest(articles);
+      console.log('🟡 selectBest after filtering:', selected.length, 'articles');
+
+      selected = await this.enrichWithFullText(selected);
+      await this.saveCheckpoint(weekStart, 'selected', selected);
+      this.run.count({ selected: selected.length });
+      await this.run.stage('selected', { articles: selected.length });
+    }
+
+    if (!analyzed) {
+      // Generate trend context for this week
+      const trendContext = await this.generateWeeklyTrends();
+
+      analyzed = await this.analyzeAllWithTrends(selected, trendContext);
+      await this.saveCheckpoint(weekStart, 'analyzed', analyzed);
+      const counts = {
+        analyzed: analyzed.filter(a => a.analysisStatus === 'complete').length,
+        pending: analyzed.filter(a => a.analysisStatus === 'pending').length,
+        failed: analyzed.filter(a => a.analysisStatus === 'failed').length
+      };
+      this.run.count(counts);
+      await this.run.stage('analyzed', counts);
+    }
+
+    const edition = await this.createEdition(weekStart, analyzed, 'draft');
+    await this.saveCheckpoint(weekStart, 'stored', null, edition.id);
+    this.run.set({ edition_id: edition.id });
+    this.run.count({ published: analyzed.filter(a => a.status === 'published').length });
+    await this.run.stage('stored', { articles: analyzed.length });
     return edition;
   }
 
+  // One workflow_checkpoints row per week records the last completed stage and the articles
+  // the next stage starts from. options.fresh (force refetch) ignores it.
+  async loadCheckpoint(weekStart) {
+    if (this.dryRun || this.fresh) return null;
+
+    try {
+      const { data, error } = await supabase
+        .from('workflow_checkpoints')
+        .select('week_start_date, stage, articles, edition_id, started_at')
+        .eq('week_start_date', weekStart)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      console.warn('⚠️ Failed to load workflow checkpoint, starting from the beginning:', error.message);
+      return null;
+    }
+  }
+
+  // A failed save only costs the ability to resume, so it doesn't fail the run
+  async saveCheckpoint(weekStart, stage, articles = null, editionId = null) {
+    const now = new Date().toISOString();
+    this.checkpoint = {
+      week_start_date: weekStart,
+      stage,
+      articles,
+      edition_id: editionId,
+      started_at: this.checkpoint?.started_at || now
+    };
+
+    if (this.dryRun) return;
+
+    const { error } = await supabase
+      .from('workflow_checkpoints')
+      .upsert({
+        ...this.checkpoint,
+        updated_at: now,
+        completed_at: stage === WORKFLOW_STAGES[WORKFLOW_STAGES.length - 1] ? now : null
+      }, { onConflict: 'week_start_date' });
+
+    if (error) {
+      console.warn(`⚠️ Failed to save "${stage}" checkpoint:`, error.message);
+    } else {
+      console.log(`💾 Checkpoint saved: ${stage} (${WORKFLOW_STAGES.indexOf(stage) + 1}/${WORKFLOW_STAGES.length})`);
+    }
+  }
+
+  // Articles saved by `stage` if it is the last completed one
+  resumeFrom(stage) {
+    return this.checkpoint?.stage === stage ? this.checkpoint.articles : null;
+  }
+
+  // Editorial settings are read at run time so editors can tune a run without a redeploy
+  async loadSettings() {
+    const stored = await this.fixtures.value('settings', 'editorial', () => this.readStoredSettings('editorial'));
+    const { settings, errors } = validateEditorialSettings({ ...stored, ...this.settingsOverride });
+
+    // Invalid values are skipped individually and keep their defaults
+    if (errors.length > 0) {
+      console.warn('⚠️ Ignoring invalid editorial settings:', errors);
+    }
+    this.applySettings(settings);
+
+    console.log('⚙️ Editorial settings:', this.settings);
+
+    await this.loadScoringRules();
+    await this.loadPrompt();
+    return this.settings;
+  }
+
+  // Active analysis_prompts version; SYSTEM_PROMPT/USER_PROMPT only until one is created (version null)
+  async loadPrompt() {
+    const stored = await this.fixtures.value('settings', 'prompt', () => this.readActivePrompt());
+
+    this.prompt = stored
+      ? { version: stored.version, system: stored.system_prompt, user: stored.user_prompt }
+      : { version: null, system: process.env.SYSTEM_PROMPT, user: process.env.USER_PROMPT };
+
+    console.log(`📝 Analysis prompt: ${this.prompt.version ? `v${this.prompt.version}` : 'environment'}`);
+    return this.prompt;
+  }
+
+  async readActivePrompt() {
+    try {
+      const { data, error } = await supabase
+        .from('analysis_prompts')
+        .select('version, system_prompt, user_prompt')
+        .eq('is_active', true)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      console.warn('⚠️ Failed to load active prompt, using environment prompts:', error.message);
+      return null;
+    }
+  }
+
+  async loadScoringRules() {
+    const stored = await this.fixtures.value('settings', 'scoring-rules', () => this.readStoredSettings('scoring_rules', null));
+    if (!stored) {
+      this.scoringRules = DEFAULT_SCORING_RULES;
+      return this.scoringRules;
+    }
+
+    const { rules, errors } = validateScoringRules(stored);
+    if (errors.length > 0) {
+      console.warn('⚠️ Ignoring invalid scoring rules:', errors);
+    }
+    this.scoringRules = rules;
+
+    console.log(`⚙️ Scoring rules: ${rules.filter(r => r.enabled).length} active`);
+    return this.scoringRules;
+  }
+
+  async readStoredSettings(key, fallback = {}) {
+    try {
+      const { data, error } = await supabase
+        .from('app_settings')
+        .select('value')
+        .eq('key', key)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data?.value || fallback;
+    } catch (error) {
+      console.warn(`⚠️ Failed to load ${key} settings, using defaults:`, error.message);
+      return fallback;
+    }
+  }
+
+  now() {
+    return this.clock ?? Date.now();
+  }
+
+  async startClock() {
+    // A pinned replay (fixtures recorded before the clock was) has nothing to read
+    if (this.clock && this.fixtures.isReplay) return;
+    const pinned = this.clock;
+    this.clock = await this.fixtures.value('clock', 'run-started', () => pinned ?? Date.now());
+    console.log(`🕐 Workflow clock: ${new Date(this.clock).toISOString()}`);
+  }
+
+  applySettings(settings) {
+    this.settings = { ...settings };
+    this.numAnalyzed = settings.maxArticles;
+  }
+
   // ✅ FIXED: Standardized UTC-based week calculation
   getWeekStart() {
-    const now = new Date();
+    const now = new Date(this.now());
     
     // Use UTC to avoid timezone issues
     const utc = new Date(Date.UTC(
@@ -70,51 +498,36 @@ class AutomatedWeeklyPublisher {
     return monday.toISOString().split('T')[0];
   }
 
-  // Enhanced news fetching for weekly timeframe
+  // Enhanced news fetching for weekly timeframe - merges every enabled provider
   async fetchWeeklyNewsWithTrends() {
-    const provider = process.env.NEWS_API_PROVIDER || 'newsapi';
-    const newsApiKey = process.env.NEWS_API_KEY;
-    const gNewsApiKey = process.env.GNEWS_API_KEY;
-    
-    console.log('📡 Weekly news provider configuration:', { 
-      primary: provider,
-      hasNewsAPI: !!newsApiKey,
-      hasGNews: !!gNewsApiKey 
-    });
+    const providers = this.getEnabledProviders();
 
-    let primaryArticles = [];
-    let secondaryArticles = [];
-    let usedProvider = 'none';
+    console.log('📡 Weekly news provider configuration:', providers.map(p => `${p.id} (weight ${p.weight}, quota ${p.quota})`));
 
-    // Try News API first (with 7-day window)
-    if (provider === 'newsapi' && newsApiKey) {
-      try {
-        const newsApiResult = await this.fetchWeeklyFromNewsAPI();
-        primaryArticles = newsApiResult.primary || [];
-        secondaryArticles = newsApiResult.secondary || [];
-        usedProvider = 'newsapi';
-        console.log(`✅ News API weekly success: ${primaryArticles.length} + ${secondaryArticles.length} articles`);
-      } catch (error) {
-        console.warn('⚠️ News API failed:', error.message);
-      }
+    if (providers.length === 0) {
+      console.warn('⚠️ No news providers configured');
     }
 
-    // Fallback to GNews
-    if (primaryArticles.length === 0 && secondaryArticles.length === 0 && gNewsApiKey) {
-      console.log('🔄 Falling back to GNews API...');
-      try {
-        const gNewsResult = await this.fetchWeeklyFromGNews();
-        primaryArticles = gNewsResult.primary || [];
-        secondaryArticles = gNewsResult.secondary || [];
-        usedProvider = 'gnews';
-        console.log(`✅ GNews weekly fallback success: ${primaryArticles.length} + ${secondaryArticles.length} articles`);
-      } catch (error) {
-        console.error('❌ GNews fallback also failed:', error.message);
+    const results = await Promise.allSettled(providers.map(p => this.fetchFromProvider(p)));
+
+    const byProvider = {};
+    let allArticles = [];
+    results.forEach((result, i) => {
+      const { id } = providers[i];
+      if (result.status === 'fulfilled') {
+        byProvider[id] = result.value.length;
+        allArticles.push(...result.value);
+        console.log(`✅ ${id} weekly success: ${result.value.length} articles`);
+      } else {
+        byProvider[id] = 0;
+        console.warn(`⚠️ ${id} failed:`, result.reason?.message);
       }
-    }
+    });
 
-    let allArticles = [...primaryArticles, ...secondaryArticles];
-    console.log(`📊 Combined weekly articles from ${usedProvider}: ${allArticles.length}`);
+    this.usedProviders = Object.keys(byProvider).filter(id => byProvider[id] > 0);
+    this.run.set({ providers: byProvider });
+    allArticles = this.mergeProviderArticles(allArticles);
+    console.log(`📊 Combined weekly articles from ${this.usedProviders.join(', ') || 'none'}: ${allArticles.length}`, byProvider);
 
     // Store trend data from fetched articles
     await this.storeTrendData(allArticles);
@@ -125,6 +538,94 @@ class AutomatedWeeklyPublisher {
     return allArticles;
   }
 
+  // Provider registry: every source exposes the same fetch/normalize interface.
+  // fetch() resolves to { primary, secondary } raw articles, normalize() maps one raw article.
+  getNewsProviders() {
+    return {
+      newsapi: {
+        isConfigured: () => !!process.env.NEWS_API_KEY,
+        fetch: () => this.fetchWeeklyFromNewsAPI(),
+        normalize: article => this.normalizeNewsAPIArticle(article)
+      },
+      gnews: {
+        isConfigured: () => !!process.env.GNEWS_API_KEY,
+        fetch: () => this.fetchWeeklyFromGNews(),
+        normalize: article => this.normalizeGNewsArticle(article)
+      },
+      feeds: {
+        isConfigured: () => this.getFeedUrls().length > 0,
+        fetch: () => this.fetchWeeklyFromFeeds(),
+        normalize: item => this.normalizeFeedItem(item, item.feedTitle)
+      }
+    };
+  }
+
+  // NEWS_PROVIDERS="newsapi:1:50,gnews:0.8:30,feeds:0.5:20" (id:weight:quota).
+  // Unset = every configured provider, weight 1, NEWS_API_PROVIDER first.
+  getEnabledProviders() {
+    const registry = this.getNewsProviders();
+    let entries;
+
+    if (process.env.NEWS_PROVIDERS) {
+      entries = process.env.NEWS_PROVIDERS.split(',').map(entry => {
+        const [id, weight, quota] = entry.split(':').map(s => s.trim());
+        return {
+          id: (id || '').toLowerCase(),
+          weight: weight ? parseFloat(weight) : 1,
+          quota: quota ? parseInt(quota) : this.maxArticles
+        };
+      });
+    } else {
+      const primary = process.env.NEWS_API_PROVIDER || 'newsapi';
+      entries = [primary, ...Object.keys(registry).filter(id => id !== primary)]
+        .map(id => ({ id, weight: 1, quota: this.maxArticles }));
+    }
+
+    return entries.filter(entry => {
+      if (!registry[entry.id]) {
+        console.warn(`⚠️ Unknown news provider "${entry.id}" - skipping`);
+        return false;
+      }
+      if (isNaN(entry.weight) || entry.weight <= 0 || isNaN(entry.quota) || entry.quota <= 0) {
+        console.warn(`⚠️ Invalid weight/quota for news provider "${entry.id}" - skipping`);
+        return false;
+      }
+      return registry[entry.id].isConfigured();
+    });
+  }
+
+  async fetchFromProvider({ id, weight, quota }) {
+    const provider = this.getNewsProviders()[id];
+    const result = await provider.fetch();
+
+    return [...(result.primary || []), ...(result.secondary || [])]
+      .map(article => provider.normalize(article))
+      .filter(article => article.title && article.url)
+      .slice(0, quota)
+      .map(article => ({ ...article, provider: id, providerWeight: weight }));
+  }
+
+  // Merge provider results, keeping the copy from the highest-weighted provider
+  mergeProviderArticles(articles) {
+    const key = a => this.canonicalKey(a);
+    const titleKey = a => (a.title || '').toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+
+    const seenUrls = new Set();
+    const seenTitles = new Set();
+    const merged = [];
+
+    [...articles]
+      .sort((a, b) => (b.providerWeight || 1) - (a.providerWeight || 1))
+      .forEach(article => {
+        if (seenUrls.has(key(article)) || seenTitles.has(titleKey(article))) return;
+        seenUrls.add(key(article));
+        seenTitles.add(titleKey(article));
+        merged.push(article);
+      });
+
+    return merged;
+  }
+
   async fetchWeeklyFromNewsAPI() {
     const API_KEY = process.env.NEWS_API_KEY;
     const country = process.env.NEWS_API_COUNTRY || 'us';
@@ -134,7 +635,7 @@ class AutomatedWeeklyPublisher {
     const delayMs = parseInt(process.env.NEWS_API_DELAY_MS || '1000');
     
     // 7-day window for weekly collection
-    const fromISO = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const fromISO = new Date(this.now() - this.settings.daysBack * 24 * 60 * 60 * 1000).toISOString();
     
     const includeQuery = process.env.NEWS_INCLUDE_QUERY || 
       'congress OR senate OR "house passes" OR "executive order" OR "supreme court" OR regulation';
@@ -163,7 +664,7 @@ class AutomatedWeeklyPublisher {
       
       const primaryUrl = `https://newsapi.org/v2/top-headlines?${params.toString()}`;
       
-      const primaryResponse = await fetch(primaryUrl, {
+      const primaryResponse = await this.externalFetch('newsapi', 'top-headlines', primaryUrl, {
         headers: { 'X-Api-Key': API_KEY }
       });
       this.apiRequestCount++;
@@ -172,7 +673,7 @@ class AutomatedWeeklyPublisher {
         const primaryData = await primaryResponse.json();
         
         if (primaryData.status === 'ok') {
-          primaryArticles = (primaryData.articles || []).map(article => this.normalizeNewsAPIArticle(article));
+          primaryArticles = primaryData.articles || [];
           console.log(`✅ News API weekly headlines: ${primaryArticles.length} articles`);
         } else {
           throw new Error(`News API error: ${primaryData.message || 'Unknown error'}`);
@@ -184,7 +685,7 @@ class AutomatedWeeklyPublisher {
       console.warn(`⚠️ News API headlines failed: ${error.message}`);
     }
 
-    await new Promise(resolve => setTimeout(resolve, delayMs));
+    await this.sleep(delayMs);
 
     // Fetch 2: Policy-targeted search for the week
     try {
@@ -205,7 +706,7 @@ class AutomatedWeeklyPublisher {
       
       const searchUrl = `https://newsapi.org/v2/everything?${params.toString()}`;
       
-      const searchResponse = await fetch(searchUrl, {
+      const searchResponse = await this.externalFetch('newsapi', 'everything', searchUrl, {
         headers: { 'X-Api-Key': API_KEY }
       });
       this.apiRequestCount++;
@@ -214,7 +715,7 @@ class AutomatedWeeklyPublisher {
         const searchData = await searchResponse.json();
         
         if (searchData.status === 'ok') {
-          secondaryArticles = (searchData.articles || []).map(article => this.normalizeNewsAPIArticle(article));
+          secondaryArticles = searchData.articles || [];
           console.log(`✅ News API weekly policy search: ${secondaryArticles.length} articles`);
         } else {
           throw new Error(`News API search error: ${searchData.message || 'Unknown error'}`);
@@ -239,8 +740,9 @@ class AutomatedWeeklyPublisher {
     const country = process.env.NEWS_API_COUNTRY || 'us';
     const language = process.env.NEWS_API_LANGUAGE || 'en';
     const delayMs = parseInt(process.env.NEWS_API_DELAY_MS || '1000');
+    const fromISO = new Date(this.now() - this.settings.daysBack * 24 * 60 * 60 * 1000).toISOString().split('.')[0] + 'Z';
 
-    console.log('📰 GNews weekly config:', { primaryCategory, maxPrimary, maxSecondary });
+    console.log('📰 GNews weekly config:', { primaryCategory, maxPrimary, maxSecondary, fromDate: fromISO });
 
     let primaryArticles = [];
     let secondaryArticles = [];
@@ -248,28 +750,28 @@ class AutomatedWeeklyPublisher {
     // Fetch primary category headlines from past week
     try {
       const primaryUrl = primaryCategory === 'general' 
-        ? `https://gnews.io/api/v4/top-headlines?lang=${language}&country=${country}&max=${maxPrimary}&token=${API_KEY}`
-        : `https://gnews.io/api/v4/top-headlines?category=${primaryCategory}&lang=${language}&country=${country}&max=${maxPrimary}&token=${API_KEY}`;
+        ? `https://gnews.io/api/v4/top-headlines?lang=${language}&country=${country}&max=${maxPrimary}&from=${fromISO}&token=${API_KEY}`
+        : `https://gnews.io/api/v4/top-headlines?category=${primaryCategory}&lang=${language}&country=${country}&max=${maxPrimary}&from=${fromISO}&token=${API_KEY}`;
       
-      const primaryResponse = await fetch(primaryUrl);
+      const primaryResponse = await this.externalFetch('gnews', 'top-headlines', primaryUrl);
       if (primaryResponse.ok) {
         const primaryData = await primaryResponse.json();
-        primaryArticles = (primaryData.articles || []).map(article => this.normalizeGNewsArticle(article));
+        primaryArticles = primaryData.articles || [];
         console.log(`✅ GNews weekly ${primaryCategory}: ${primaryArticles.length} articles`);
       }
     } catch (error) {
       console.warn(`⚠️ GNews weekly ${primaryCategory} failed: ${error.message}`);
     }
 
-    await new Promise(resolve => setTimeout(resolve, delayMs));
+    await this.sleep(delayMs);
 
     // Fetch secondary content
     try {
-      const searchUrl = `https://gnews.io/api/v4/search?q=${encodeURIComponent(secondaryQuery)}&lang=${language}&country=${country}&max=${maxSecondary}&token=${API_KEY}`;
-      const searchResponse = await fetch(searchUrl);
+      const searchUrl = `https://gnews.io/api/v4/search?q=${encodeURIComponent(secondaryQuery)}&lang=${language}&country=${country}&max=${maxSecondary}&from=${fromISO}&token=${API_KEY}`;
+      const searchResponse = await this.externalFetch('gnews', 'search', searchUrl);
       if (searchResponse.ok) {
         const searchData = await searchResponse.json();
-        secondaryArticles = (searchData.articles || []).map(article => this.normalizeGNewsArticle(article));
+        secondaryArticles = searchData.articles || [];
         console.log(`✅ GNews weekly search: ${secondaryArticles.length} articles`);
       }
     } catch (error) {
@@ -279,6 +781,105 @@ class AutomatedWeeklyPublisher {
     return { primary: primaryArticles, secondary: secondaryArticles };
   }
 
+  getFeedUrls() {
+    return (process.env.NEWS_FEED_URLS || '')
+      .split(',')
+      .map(u => u.trim())
+      .filter(Boolean);
+  }
+
+  // RSS/Atom feeds (agency press rooms, outlet politics feeds)
+  async fetchWeeklyFromFeeds() {
+    const feedUrls = this.getFeedUrls();
+    const maxPerFeed = parseInt(process.env.NEWS_FEED_MAX_PER_FEED || '25');
+    const timeoutMs = parseInt(process.env.NEWS_FEED_TIMEOUT_MS || '10000');
+    const fromTime = this.now() - this.settings.daysBack * 24 * 60 * 60 * 1000;
+
+    console.log('📰 Feeds weekly config:', { feeds: feedUrls.length, maxPerFeed });
+
+    let feedArticles = [];
+
+    for (const feedUrl of feedUrls) {
+      try {
+        const response = await this.externalFetch('feed', feedUrl, feedUrl, {
+          headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        this.apiRequestCount++;
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const feed = this.parseFeed(await response.text());
+        const feedTitle = feed.title || new URL(feedUrl).hostname;
+        const items = feed.items
+          .filter(item => !item.published || !(new Date(item.published).getTime() < fromTime))
+          .slice(0, maxPerFeed)
+          .map(item => ({ ...item, feedTitle }));
+
+        feedArticles.push(...items);
+        console.log(`✅ Feed ${feedUrl}: ${items.length} articles`);
+      } catch (error) {
+        console.warn(`⚠️ Feed ${feedUrl} failed: ${error.message}`);
+      }
+    }
+
+    return { primary: feedArticles, secondary: [] };
+  }
+
+  // Minimal RSS 2.0 / Atom parser - enough for news feeds, no dependency
+  parseFeed(xml) {
+    const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+    const channel = xml.split(isAtom ? /<entry[\s>]/i : /<item[\s>]/i)[0];
+    const title = this.getXmlText(channel, 'title');
+
+    const blockPattern = isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi;
+    const items = (xml.match(blockPattern) || []).map(block => {
+      let link = '';
+      if (isAtom) {
+        const alternate = block.match(/<link\b[^>]*rel=["']alternate["'][^>]*>/i) || block.match(/<link\b[^>]*>/i);
+        link = alternate ? this.getXmlAttr(alternate[0], 'href') : '';
+      } else {
+        link = this.getXmlText(block, 'link') || this.getXmlText(block, 'guid');
+      }
+
+      const media = block.match(/<(?:media:content|media:thumbnail|enclosure)\b[^>]*>/i);
+
+      return {
+        title: this.getXmlText(block, 'title'),
+        link,
+        description: this.getXmlText(block, isAtom ? 'summary' : 'description') ||
+          this.getXmlText(block, isAtom ? 'content' : 'content:encoded'),
+        published: this.getXmlText(block, isAtom ? 'published' : 'pubDate') ||
+          this.getXmlText(block, isAtom ? 'updated' : 'dc:date'),
+        image: media ? this.getXmlAttr(media[0], 'url') : '',
+        sourceName: this.getXmlText(block, 'source')
+      };
+    });
+
+    // A link readers can't open (or a javascript: one) never becomes an article
+    return { title, items: items.filter(item => /^https?:\/\//i.test(item.link)) };
+  }
+
+  getXmlText(xml, tag) {
+    const escaped = tag.replace(':', '\\:');
+    const match = xml.match(new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${escaped}>`, 'i'));
+    if (!match) return '';
+
+    return decodeEntities(
+      match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    )
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  getXmlAttr(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}=["']([^"']*)["']`, 'i'));
+    return match ? decodeEntities(match[1]) : '';
+  }
+
   // Store trend data from fetched articles
   async storeTrendData(articles) {
     if (!articles || articles.length === 0) {
@@ -286,6 +887,11 @@ class AutomatedWeeklyPublisher {
       return;
     }
 
+    if (this.dryRun) {
+      console.log('🧪 Dry run - not storing trend data');
+      return;
+    }
+
     try {
       const trendData = articles.map(article => ({
         headline: article.title || '',
@@ -311,7 +917,7 @@ class AutomatedWeeklyPublisher {
       }
 
       // Cleanup old trend data (keep 14 days)
-      const cutoffDate = new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString();
+      const cutoffDate = new Date(this.now() - 14 * 24 * 60 * 60 * 1000).toISOString();
       await supabase
         .from('news_trends')
         .delete()
@@ -339,10 +945,14 @@ class AutomatedWeeklyPublisher {
     return words.join(',');
   }
 
-  // Generate weekly trend context
+  // Generate weekly trend context (recorded like an external call so replays see the same context)
   async generateWeeklyTrends() {
+    return this.fixtures.value('trends', 'weekly-context', () => this.readWeeklyTrends());
+  }
+
+  async readWeeklyTrends() {
     try {
-      const weekStart = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+      const weekStart = new Date(this.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
       
       const { data: trendData, error } = await supabase
         .from('news_trends')
@@ -428,10 +1038,10 @@ class AutomatedWeeklyPublisher {
       console.log(`📊 After exclude filtering: ${allArticles.length} articles (removed ${beforeFilter - allArticles.length})`);
     }
 
-    // Add policy scoring and keep top articles
+    // Score with the editable rule set and keep top articles
     allArticles = allArticles
-      .map(a => ({ ...a, policyScore: this.policyScore(a) }))
-      .sort((a, b) => b.policyScore - a.policyScore)
+      .map(a => this.withScore({ ...a, topic: classifyTopic(a) }))
+      .sort((a, b) => b.score - a.score)
       .slice(0, this.maxArticles);
 
     console.log(`📊 After weekly policy scoring: ${allArticles.length} articles`);
@@ -439,112 +1049,240 @@ class AutomatedWeeklyPublisher {
     return allArticles;
   }
 
-  // Enhanced scoring for weekly - less time decay penalty
-  policyScore(article) {
-    const t = (article.title + ' ' + (article.description || '')).toLowerCase();
+  // Attaches score and scoreBreakdown (which rules fired) from the scoring rules
+  withScore(article) {
+    const { score, breakdown } = scoreArticle(article, this.scoringRules, this.now());
+    return { ...article, score, scoreBreakdown: breakdown };
+  }
 
-    const highValue = [
-      'executive order', 'supreme court', 'house passes', 'senate votes',
-      'bill signed', 'federal judge', 'appeals court', 'rulemaking', 'proposed rule',
-      'final rule', 'regulation', 'white house', 'ballot measure'
-    ];
-    
-    const agencies = ['ftc', 'fcc', 'epa', 'hhs', 'cms', 'doj', 'dol', 'irs', 'hud', 'dot', 'doe'];
-    const civics = ['congress', 'senate', 'house', 'governor', 'statehouse', 'attorney general'];
+  // Analyzes the published slots numAnalyzed at a time-bounded concurrency. Articles still
+  // unfinished at the run deadline are stored with analysis_status 'pending' instead of
+  // failing the edition; the next run for the week fills them in (fillPendingAnalyses).
+  async analyzeAllWithTrends(articles, trendContext) {
+    const list = articles.slice(0, this.maxArticles);
+    const toAnalyze = list.slice(0, this.numAnalyzed);
+
+    console.log(`🔬 Analyzing ${toAnalyze.length} weekly articles, ${this.concurrency} at a time (${Math.round(this.timeLeft() / 1000)}s left)`);
+    const results = await this.mapWithConcurrency(toAnalyze, this.concurrency, a => this.analyzeArticle(a, trendContext));
 
-    let s = 0;
-    highValue.forEach(k => { if (t.includes(k)) s += 12; });
-    agencies.forEach(k => { if (t.includes(k)) s += 8; });
-    civics.forEach(k => { if (t.includes(k)) s += 6; });
+    const out = list.map((a, i) => {
+      const result = results[i] || null;
+      const analysis = result?.analysis || null;
+      const finalAnalysis = analysis || 'No analysis available';
 
-    // Quality source bonus
-    const src = (article.source?.name || '').toLowerCase();
-    const qualitySources = [
-      'reuters', 'ap', 'politico', 'axios', 'bloomberg', 'washington post', 
-      'new york times', 'wall street journal', 'npr', 'the hill', 'propublica', 
-      'ft', 'roll call', 'stat'
-    ];
-    if (qualitySources.some(q => src.includes(q))) s += 5;
+      return {
+        ...a,
+        order: i + 1,
+        analysis: finalAnalysis,
+        whatsHappening: result?.whatsHappening || null,
+        affectsMe: result?.affectsMe || null,
+        personaNotes: result?.personaNotes || null,
+        claimCheck: result?.claimCheck || null,
+        analysisStatus: result?.status || null,
+        analysis_generated_at: analysis ? new Date().toISOString() : null,
+        analysis_word_count: finalAnalysis ? finalAnalysis.split(/\s+/).filter(Boolean).length : 0,
+        status: result ? 'published' : 'queue',
+        score: a.score || 0,
+        promptVersion: analysis ? this.prompt?.version ?? null : null
+      };
+    });
 
-    // Reduced freshness penalty for weekly
-    if (article.publishedAt) {
-      const hrs = (Date.now() - new Date(article.publishedAt)) / 3600000;
-      if (hrs < 24) s += 5; 
-      else if (hrs < 72) s += 3; // 3 days still good for weekly
-      else if (hrs < 168) s += 1; // 1 week is acceptable
+    const pending = results.filter(r => r.status === 'pending').length;
+    if (pending > 0) {
+      console.log(`⏳ ${pending} articles saved as pending - the next run for this week will analyze them`);
     }
+    console.log(`🐛 DEBUG: Returning ${out.length} weekly articles, ${out.filter(a => a.analysis !== 'No analysis available').length} with real analysis`);
+    return out;
+  }
 
-    // Penalty for non-policy content
-    const negative = ['nba', 'nfl', 'mlb', 'soccer', 'celebrity', 'royal family', 'oscars', 'grammys'];
-    negative.forEach(k => { if (t.includes(k)) s -= 10; });
+  // Generation with retries for one article. No attempt starts with less than
+  // MIN_ATTEMPT_MS before the deadline; running out of time returns status 'pending',
+  // running out of attempts returns 'failed'.
+  async analyzeArticle(a, trendContext) {
+    const title = a.title?.substring(0, 60);
 
-    return Math.max(0, s);
-  }
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      if (this.timeLeft() < MIN_ATTEMPT_MS) {
+        console.log(`  ⏳ Out of time for "${title}..." - leaving it pending`);
+        return { status: 'pending' };
+      }
 
-  async analyzeAllWithTrends(articles, trendContext) {
-    const out = [];
-    for (let i = 0; i < Math.min(articles.length, this.maxArticles); i++) {
-      const a = articles[i];
-      let analysis = null;
-      const shouldAnalyze = i < this.numAnalyzed;
-
-      if (shouldAnalyze) {
-        console.log(`🔬 Analyzing weekly article ${i + 1}: ${a.title?.substring(0, 60)}...`);
-        for (let attempt = 0; attempt < this.maxRetries && !analysis; attempt++) {
-          try {
-            console.log(`  📝 Generation attempt ${attempt + 1}...`);
-            const raw = await this.generateHumanImpactAnalysisWithTrends(a, trendContext);
-            console.log(`  📊 Generated ${raw ? raw.split(/\s+/).length : 0} words`);
-
-            if (raw) {
-              const cleaned = this.sanitize(a, raw);
-              if (cleaned) {
-                analysis = cleaned;
-                console.log(`  ✅ Weekly analysis accepted (${cleaned.split(/\s+/).length} words)`);
-              } else {
-                console.log(`  ❌ Analysis REJECTED by sanitize function`);
-              }
-            } else {
-              console.log(`  ⚠️ No analysis generated - OpenAI returned empty`);
-            }
-          } catch (error) {
-            console.log(`  ❌ Generation failed: ${error.message}`);
-          }
-          if (!analysis && attempt < this.maxRetries - 1) {
-            console.log(`  🔄 Retrying in ${this.retryDelay}ms...`);
-            await this.sleep(this.retryDelay);
-          }
+      try {
+        console.log(`  📝 Generation attempt ${attempt + 1} for "${title}..."`);
+        const raw = await this.generateHumanImpactAnalysisWithTrends(a, trendContext);
+        console.log(`  📊 Generated ${raw ? raw.split(/\s+/).length : 0} words`);
+
+        this.lastRejection = null;
+        const result = raw ? this.toAnalysis(a, raw) : null;
+        if (result) {
+          console.log(`  ✅ Weekly analysis accepted (${result.analysis.split(/\s+/).length} words${result.whatsHappening ? ', structured' : ''})`);
+          const personaNotes = this.timeLeft() >= MIN_ATTEMPT_MS
+            ? await this.generatePersonaNotes(a, result.analysis)
+            : null;
+          return { ...result, personaNotes, status: 'complete' };
         }
-        if (!analysis) {
-          console.log(`  ❌ No analysis generated for weekly article ${i + 1} - leaving empty`);
+        console.log(raw ? `  ❌ Analysis REJECTED by sanitize function` : `  ⚠️ No analysis generated - model returned empty`);
+        this.run.reject(a, attempt + 1, raw ? this.lastRejection || 'Failed quality checks' : 'Empty completion');
+      } catch (error) {
+        console.log(`  ❌ Generation failed: ${error.message}`);
+        this.run.reject(a, attempt + 1, error.message);
+      }
+
+      if (attempt < this.maxRetries - 1) {
+        console.log(`  🔄 Retrying in ${this.retryDelay}ms...`);
+        await this.sleep(this.retryDelay);
+      }
+    }
+
+    // A last attempt cut off by the deadline is worth another try on the follow-up run
+    const status = this.timeLeft() < MIN_ATTEMPT_MS ? 'pending' : 'failed';
+    console.log(`  ❌ No analysis generated for "${title}..." (${status})`);
+    return { status };
+  }
+
+  // Follow-up runs: analyze the articles an earlier run left pending and update their rows
+  async fillPendingAnalyses(editionId) {
+    if (this.dryRun || !editionId) return 0;
+
+    const { data: rows, error } = await supabase
+      .from('analyzed_articles')
+      .select('*')
+      .eq('edition_id', editionId)
+      .eq('analysis_status', 'pending')
+      .order('article_order', { ascending: true });
+
+    if (error) throw error;
+    if (!rows || rows.length === 0) return 0;
+
+    console.log(`⏳ Filling ${rows.length} pending analyses for edition ${editionId}`);
+    const trendContext = await this.generateWeeklyTrends();
+    const articles = rows.map(row => ({
+      title: row.title,
+      description: row.description,
+      url: row.url,
+      canonicalUrl: row.canonical_url,
+      source: { name: row.source_name },
+      publishedAt: row.published_at,
+      fullText: row.full_text
+    }));
+    const results = await this.mapWithConcurrency(articles, this.concurrency, a => this.analyzeArticle(a, trendContext));
+
+    let filled = 0;
+    for (let i = 0; i < rows.length; i++) {
+      const result = results[i];
+      if (result.status === 'pending') continue;
+
+      const update = result.status === 'complete'
+        ? {
+          analysis_text: result.analysis,
+          whats_happening: result.whatsHappening,
+          affects_me: result.affectsMe,
+          persona_notes: result.personaNotes || null,
+          claim_check: result.claimCheck || null,
+          analysis_generated_at: new Date().toISOString(),
+          analysis_word_count: result.analysis.split(/\s+/).filter(Boolean).length,
+          prompt_version: this.prompt?.version ?? null,
+          analysis_status: 'complete'
         }
+        : { analysis_status: 'failed' };
+
+      const { error: updateError } = await supabase
+        .from('analyzed_articles')
+        .update({ ...update, updated_at: new Date().toISOString() })
+        .eq('id', rows[i].id);
+
+      if (updateError) {
+        console.warn(`⚠️ Failed to store analysis for pending article ${rows[i].id}:`, updateError.message);
+      } else if (result.status === 'complete') {
+        filled++;
       }
+    }
 
-      const finalAnalysis = analysis || 'No analysis available';
+    console.log(`✅ Filled ${filled} of ${rows.length} pending analyses`);
+    return filled;
+  }
 
-      out.push({
-        ...a,
-        order: i + 1,
-        analysis: finalAnalysis,
-        analysis_generated_at: analysis ? new Date().toISOString() : null,
-        analysis_word_count: finalAnalysis ? finalAnalysis.split(/\s+/).filter(Boolean).length : 0,
-        status: shouldAnalyze ? 'published' : 'queue',
-        score: a.score || 0
-      });
+  // Runs fn over items with at most `limit` calls in flight; results keep the input order
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const i = next++;
+        results[i] = await fn(items[i], i);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    return results;
+  }
+
+  timeLeft() {
+    return this.deadline - Date.now();
+  }
+
+  // A model call never runs past the deadline, so a slow provider can't stall the whole run
+  callTimeout() {
+    return Math.max(MIN_ATTEMPT_MS, Math.min(this.modelTimeout, this.timeLeft()));
+  }
+
+  // Optional enrichment: fetch the page of each article that will be analyzed so the
+  // prompt can quote the actual story instead of a 400-character description
+  async enrichWithFullText(articles) {
+    if (process.env.ENRICH_ARTICLE_TEXT !== 'true') return articles;
+
+    const timeoutMs = parseInt(process.env.ENRICH_TIMEOUT_MS || '8000');
+    let enriched = 0;
+
+    const out = [];
+    for (let i = 0; i < articles.length; i++) {
+      const a = articles[i];
+      if (i >= this.numAnalyzed || !a.url) {
+        out.push(a);
+        continue;
+      }
+
+      try {
+        const content = await extractArticleContent(a.url, {
+          timeoutMs,
+          fetchImpl: (url, options) => this.externalFetch('page', a.url, url, options),
+          checkDns: !this.fixtures.isReplay
+        });
+        this.apiRequestCount++;
+
+        if (content.wordCount >= 80) {
+          out.push({ ...a, fullText: content.content });
+          enriched++;
+          continue;
+        }
+        console.log(`  ⚠️ Too little text extracted (${content.wordCount} words): ${a.title?.substring(0, 50)}...`);
+      } catch (error) {
+        console.warn(`  ⚠️ Full text fetch failed for ${a.url}: ${error.message}`);
+      }
+      out.push(a);
     }
-    
-    console.log(`🐛 DEBUG: Returning ${out.length} weekly articles, ${out.filter(a => a.analysis !== 'No analysis available').length} with real analysis`);
+
+    console.log(`📄 Enriched ${enriched}/${Math.min(articles.length, this.numAnalyzed)} articles with full text`);
     return out;
   }
 
+  // Bounded excerpt of the full text, cut at a sentence boundary
+  buildExcerpt(fullText, maxChars) {
+    if (!fullText) return '';
+    if (fullText.length <= maxChars) return fullText;
+
+    const cut = fullText.substring(0, maxChars);
+    const lastStop = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('.\n'));
+    return lastStop > maxChars * 0.5 ? cut.substring(0, lastStop + 1) : cut;
+  }
+
   // Enhanced analysis generation with trend context
   async generateHumanImpactAnalysisWithTrends(article, trendContext) {
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-    if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY not set');
-
-    const systemPrompt = process.env.SYSTEM_PROMPT;
-    const userTemplate = process.env.USER_PROMPT;
-    if (!systemPrompt || !userTemplate) throw new Error('SYSTEM_PROMPT and USER_PROMPT must be set');
+    const { system: systemPrompt, user: userTemplate } = this.prompt || await this.loadPrompt();
+    if (!systemPrompt || !userTemplate) {
+      throw new Error('No analysis prompt - activate one in the admin Prompts tab or set SYSTEM_PROMPT and USER_PROMPT');
+    }
 
     // Clean article data
     const clean = (s, max) => (s || '').replace(/[^\w\s\-.,!?'"]/g, '').substring(0, max);
@@ -555,77 +1293,242 @@ class AutomatedWeeklyPublisher {
     const desc = clean(article.description, 400);
     const src = clean(source, 80);
 
+    const excerptChars = parseInt(process.env.ARTICLE_EXCERPT_CHARS || '1500');
+    // Keep $, % and dates in the excerpt - they are what grounds the analysis
+    const excerpt = this.buildExcerpt(article.fullText, excerptChars).replace(/[{}<>`]/g, '');
+
     // Enhanced prompt with trend context
     let prompt = userTemplate
       .replace('{title}', title)
       .replace('{description}', desc)
       .replace('{source}', src)
-      .replace('{date}', pubDate);
+      .replace('{date}', pubDate)
+      .replace('{body}', excerpt || 'not available');
+
+    // Templates without a {body} slot still get the excerpt
+    if (excerpt && !userTemplate.includes('{body}')) {
+      prompt += `\n\nArticle excerpt:\n${excerpt}`;
+    }
 
     // Add trend context if available
     if (trendContext) {
       prompt += `\n\nWeekly Context: ${trendContext}. Consider how this story relates to the week's trending topics.`;
     }
 
-    console.log(`🧠 Calling GPT-4.1 for weekly analysis: "${title.substring(0, 50)}..."`);
+    prompt += `\n\n${STRUCTURED_OUTPUT_INSTRUCTIONS}`;
 
-    const body = {
-      model: 'gpt-4.1',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: 350, // Slightly more for weekly context
-      temperature: 0.4,
-    };
+    console.log(`🧠 Calling ${this.model.label} for weekly analysis: "${title.substring(0, 50)}..."`);
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: { 
-        Authorization: `Bearer ${OPENAI_API_KEY}`, 
-        'Content-Type': 'application/json' 
-      },
-      body: JSON.stringify(body)
+    const content = await this.model.complete({
+      system: systemPrompt,
+      prompt,
+      maxTokens: 450, // Two sections plus JSON overhead
+      temperature: this.settings.temperature,
+      json: true,
+      key: article.url || article.title,
+      timeoutMs: this.callTimeout()
     });
 
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => '');
-      throw new Error(`OpenAI GPT-4.1 HTTP ${response.status} ${response.statusText} :: ${errorText}`);
+    console.log(`✅ ${this.model.label} weekly analysis generated ${content.length} characters`);
+    return content;
+  }
+
+  // One extra call per analyzed article when personas are enabled: { personaId: note }.
+  // Personas the story doesn't touch are left out. Returns null when off or on failure.
+  async generatePersonaNotes(article, analysis) {
+    const personas = this.settings.personas || [];
+    if (personas.length === 0 || !analysis) return null;
+
+    const list = personas.map(id => `- ${id}: ${PERSONAS[id]}`).join('\n');
+    const prompt = `Story: ${article.title}
+Summary: ${article.description || ''}
+
+Analysis:
+${analysis}
+
+For each of these reader groups, write one or two sentences (under 50 words) on how this story affects them specifically:
+${list}
+
+Use only facts from the story and analysis - no new numbers or dates. If the story doesn't meaningfully affect a group, use an empty string.
+Respond with only a JSON object keyed by the group ids above.`;
+
+    try {
+      const content = await this.model.complete({
+        system: 'You explain how news affects specific groups of people in plain, concrete language.',
+        prompt,
+        maxTokens: 100 + personas.length * 80,
+        temperature: this.settings.temperature,
+        json: true,
+        key: `personas:${article.url || article.title}`,
+        timeoutMs: this.callTimeout()
+      });
+
+      const data = JSON.parse(content.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+      const notes = {};
+      personas.forEach(id => {
+        const note = typeof data[id] === 'string' ? data[id].replace(/\s+/g, ' ').trim() : '';
+        if (note) notes[id] = note.split(' ').slice(0, 60).join(' ');
+      });
+
+      console.log(`  👥 Persona notes: ${Object.keys(notes).join(', ') || 'none apply'}`);
+      return notes;
+    } catch (error) {
+      console.log(`  ⚠️ Persona notes failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Turns a raw completion into { analysis, whatsHappening, affectsMe, claimCheck }, or null if
+  // it fails the quality checks - including, in claimCheck 'reject' mode, facts the article
+  // doesn't support, so the workflow's retry loop regenerates it
+  toAnalysis(article, raw) {
+    const result = this.structureAnalysis(article, raw);
+    if (!result) return null;
+
+    const claimCheck = this.checkGrounding(article, result.analysis);
+    if (claimCheck?.unsupported.length > 0 && this.settings.claimCheck === 'reject') {
+      return this.rejectAnalysis(`Analysis REJECTED - ${claimCheck.unsupported.length} claims not in the article`);
     }
 
-    const data = await response.json();
-    let content = data?.choices?.[0]?.message?.content?.trim();
-    
-    if (!content) {
-      throw new Error('Empty completion from GPT-4.1');
+    return { ...result, claimCheck };
+  }
+
+  // Numbers, dates, agencies and laws in the analysis that the article's title, description
+  // and full text (when enriched) don't mention. Null when the check is off.
+  checkGrounding(article, analysis) {
+    if (this.settings.claimCheck === 'off') return null;
+
+    const result = checkClaims(analysis, article);
+    if (result.unsupported.length > 0) {
+      console.log(`  🔎 Unsupported claims (${result.basis}): ${result.unsupported.map(c => c.text).join('; ')}`);
     }
+    return result;
+  }
 
-    // Post-processing guards
-    const banned = /^(in|at|on|inside|across)\b/i;
-    if (banned.test(content)) {
-      content = content.replace(banned, '').replace(/^[\s,–—-]+/, '').replace(/^[a-z]/, c => c.toUpperCase());
+  // Completions that aren't the requested JSON fall back to a single text analysis with
+  // null sections
+  structureAnalysis(article, raw) {
+    const sections = this.parseStructuredAnalysis(raw);
+
+    if (!sections) {
+      const analysis = this.sanitize(article, this.stripLeadingPreposition(raw));
+      return analysis ? { analysis, whatsHappening: null, affectsMe: null } : null;
     }
 
-    console.log(`✅ GPT-4.1 weekly analysis generated ${content.length} characters`);
-    return content;
+    const normalize = text => text.replace(/\r/g, '').split('\n').map(l => l.trim()).filter(Boolean).join('\n\n');
+    const whatsHappening = normalize(this.stripLeadingPreposition(sections.whatsHappening));
+    let affectsMe = normalize(sections.affectsMe);
+
+    // Trim the second section so the pair fits wordMax without sanitize cutting across sections
+    const firstWords = whatsHappening.split(/\s+/).filter(Boolean).length;
+    const secondWords = affectsMe.split(/\s+/).filter(Boolean);
+    const budget = this.settings.wordMax - firstWords;
+    if (budget < 10) {
+      return this.rejectAnalysis(`What's-happening section alone is ${firstWords} words`);
+    }
+    if (secondWords.length > budget) {
+      affectsMe = secondWords.slice(0, budget).join(' ');
+      console.log(`  ✂️ Trimmed affects-me section to ${budget} words`);
+    }
+
+    const analysis = this.sanitize(article, `${whatsHappening}\n\n${affectsMe}`);
+    return analysis ? { analysis, whatsHappening, affectsMe } : null;
+  }
+
+  parseStructuredAnalysis(raw) {
+    const json = (raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    if (!json.startsWith('{')) return null;
+
+    try {
+      const data = JSON.parse(json);
+      const whatsHappening = typeof data.whats_happening === 'string' ? data.whats_happening.trim() : '';
+      const affectsMe = typeof data.affects_me === 'string' ? data.affects_me.trim() : '';
+      if (!whatsHappening || !affectsMe) {
+        console.log('  ⚠️ Structured analysis missing a section - using single text');
+        return null;
+      }
+      return { whatsHappening, affectsMe };
+    } catch {
+      console.log('  ⚠️ Analysis was not valid JSON - using single text');
+      return null;
+    }
+  }
+
+  // Logs why a completion failed the quality checks and keeps the reason for the run record.
+  // toAnalysis is synchronous, so concurrent analyses can't overwrite it before it's read.
+  rejectAnalysis(reason) {
+    console.log(`  ❌ ${reason}`);
+    this.lastRejection = reason;
+    return null;
+  }
+
+  // Post-processing guard: analyses shouldn't open with a dangling "In ..." / "At ..."
+  stripLeadingPreposition(text) {
+    const banned = /^(in|at|on|inside|across)\b/i;
+    if (!banned.test(text)) return text;
+    return text.replace(banned, '').replace(/^[\s,–—-]+/, '').replace(/^[a-z]/, c => c.toUpperCase());
   }
 
   // Rest of the methods remain the same but with weekly terminology
   selectBest(list) {
     console.log('🔍 Starting weekly selection with', list.length, 'articles');
-    const deduped = this.dedupe(list);
-    console.log('🔍 After deduplication:', deduped.length, 'articles');
-    const scored = deduped.map(a => ({ ...a, score: this.score(a) }));
-    const final = scored
-      .sort((x, y) => y.score - x.score)
+    const clustered = this.clusterStories(list.map(a => this.withScore(a)))
+      .map(a => this.markRepeat(a));
+    console.log('🔍 After story clustering:', clustered.length, 'stories');
+    const scored = clustered
+      .filter(a => a.score >= this.settings.minScore);
+    console.log(`🔍 After minimum score ${this.settings.minScore}:`, scored.length, 'articles');
+    const final = this.balanceTopics(scored.sort((x, y) => y.score - x.score))
       .slice(0, this.maxArticles);
     console.log('🔍 Final weekly selection:', final.length, 'articles');
     final.forEach((a, i) => {
-      console.log(`  ${i + 1}. Score ${a.score}: ${a.title.substring(0, 60)}...`);
+      console.log(`  ${i + 1}. Score ${a.score} [${a.topic}]: ${a.title.substring(0, 60)}...`);
     });
     return final;
   }
 
+  // Reorders a score-sorted list so the first numAnalyzed (the published set) respect
+  // per-topic minimums and maximums. Minimums are filled first with each topic's best
+  // stories, then slots go by score skipping topics at their cap. Caps are relaxed only
+  // if there aren't enough other candidates to fill the edition.
+  balanceTopics(sorted) {
+    const slots = Math.min(this.numAnalyzed, sorted.length);
+    const limits = this.settings.topicLimits || {};
+    const maxFor = topic => limits[topic]?.max ?? this.settings.maxPerTopic;
+    const counts = {};
+    const chosen = new Set();
+
+    const take = a => {
+      chosen.add(a);
+      counts[a.topic] = (counts[a.topic] || 0) + 1;
+    };
+
+    Object.entries(limits).forEach(([topic, { min = 0 }]) => {
+      const candidates = sorted.filter(a => a.topic === topic && !chosen.has(a));
+      candidates.slice(0, Math.min(min, maxFor(topic))).forEach(take);
+      if (candidates.length < min) {
+        console.log(`  ⚠️ Only ${candidates.length} ${topic} stories for a minimum of ${min}`);
+      }
+    });
+
+    for (const a of sorted) {
+      if (chosen.size >= slots) break;
+      if (!chosen.has(a) && (counts[a.topic] || 0) < maxFor(a.topic)) take(a);
+    }
+
+    for (const a of sorted) {
+      if (chosen.size >= slots) break;
+      if (!chosen.has(a)) {
+        console.log(`  ⚠️ Relaxing ${a.topic} cap to fill the edition`);
+        take(a);
+      }
+    }
+
+    const published = sorted.filter(a => chosen.has(a));
+    console.log('🗂️ Topic mix:', counts);
+    return [...published, ...sorted.filter(a => !chosen.has(a))];
+  }
+
   sanitize(article, text) {
     if (!text || typeof text !== 'string') {
       return null;
@@ -640,25 +1543,24 @@ class AutomatedWeeklyPublisher {
 
     const words = normalized.split(/\s+/).filter(Boolean);
     
-    if (words.length < 20) {
-      console.log(`  ❌ Too short: ${words.length} words`);
-      return null;
+    const { wordMin, wordMax } = this.settings;
+
+    if (words.length < wordMin) {
+      return this.rejectAnalysis(`Too short: ${words.length} words`);
     }
     
-    if (words.length > 300) { // Slightly higher for weekly
-      normalized = words.slice(0, 250).join(' ');
-      console.log(`  ✂️ Trimmed from ${words.length} to 250 words`);
+    if (words.length > wordMax) {
+      normalized = words.slice(0, wordMax).join(' ');
+      console.log(`  ✂️ Trimmed from ${words.length} to ${wordMax} words`);
     }
     
     if (/^\s*(?:-|\*|\d+\.)\s/m.test(normalized)) {
-      console.log(`  ❌ Contains bullet points/lists`);
-      return null;
+      return this.rejectAnalysis('Contains bullet points/lists');
     }
 
     const sentences = normalized.split(/[.!?]+/).filter(s => s.trim().length > 10);
     if (sentences.length < 2) {
-      console.log(`  ❌ Not enough sentences`);
-      return null;
+      return this.rejectAnalysis('Not enough sentences');
     }
 
     const finalWordCount = normalized.split(/\s+/).filter(Boolean).length;
@@ -666,31 +1568,161 @@ class AutomatedWeeklyPublisher {
     return normalized;
   }
 
-  dedupe(list) {
-    const seen = [];
-    const out = [];
-    for (const a of list) {
-      const norm = (a.title || '')
-        .toLowerCase()
-        .replace(/[^\w\s]/g, '')
-        .replace(/\b(the|a|an|and|or|but|in|on|at|to|for|of|with|by)\b/g, '')
-        .replace(/\s+/g, ' ')
-        .trim();
-      let dup = false;
-      for (const s of seen) {
-        const sim = this.jaccard(norm, s);
-        if (sim > 0.75) {
-          console.log(`    🔄 Duplicate detected: "${a.title?.substring(0, 50)}..." (${(sim * 100).toFixed(1)}% similar)`);
-          dup = true;
-          break;
-        }
+  // Groups candidates covering the same story. The best-scoring article represents the
+  // cluster and carries alsoCoveredBy: [{ source, url, title }] for the other outlets.
+  clusterStories(list) {
+    const clusters = [];
+    const sorted = [...list].sort((x, y) => (y.score || 0) - (x.score || 0));
+
+    for (const a of sorted) {
+      const title = this.normalizeTitle(a.title);
+      const story = this.normalizeTitle(`${a.title} ${a.description || ''}`);
+      const url = this.canonicalKey(a);
+
+      const cluster = clusters.find(c => c.members.some(m =>
+        (url && m.url === url) ||
+        this.jaccard(title, m.title) > this.settings.similarity ||
+        this.jaccard(story, m.story) > this.settings.clusterSimilarity
+      ));
+
+      if (cluster) {
+        console.log(`    🔗 Clustered: "${a.title?.substring(0, 50)}..." with "${cluster.lead.title?.substring(0, 40)}..."`);
+        cluster.members.push({ title, story, url });
+        cluster.others.push(a);
+      } else {
+        clusters.push({ lead: a, members: [{ title, story, url }], others: [] });
       }
-      if (!dup) {
-        seen.push(norm);
-        out.push(a);
+    }
+
+    return clusters.map(({ lead, others }) => {
+      const leadSource = (lead.source?.name || '').toLowerCase();
+      const seen = new Set([leadSource]);
+      const alsoCoveredBy = [];
+
+      others.forEach(o => {
+        const source = o.source?.name || 'Unknown Source';
+        // The public page links these, so nothing but http(s) (no javascript: URLs from feeds)
+        if (!/^https?:\/\//i.test(o.url || '') || seen.has(source.toLowerCase())) return;
+        seen.add(source.toLowerCase());
+        alsoCoveredBy.push({ source, url: o.url, title: o.title });
+      });
+
+      return { ...lead, alsoCoveredBy };
+    });
+  }
+
+  // Published articles from the previous repeatLookback editions
+  async loadRecentArticles(weekStart) {
+    if (!this.settings.repeatLookback) return [];
+    return this.fixtures.value('history', `recent-${weekStart}`, () => this.readRecentArticles(weekStart));
+  }
+
+  async readRecentArticles(weekStart) {
+    try {
+      const { data: editions, error } = await supabase
+        .from('weekly_editions')
+        .select('id, issue_number, week_start_date')
+        .lt('week_start_date', weekStart)
+        .order('week_start_date', { ascending: false })
+        .limit(this.settings.repeatLookback);
+
+      if (error) throw error;
+      if (!editions || editions.length === 0) return [];
+
+      const { data: rows, error: rowsError } = await supabase
+        .from('analyzed_articles')
+        .select('id, edition_id, title, description, url, canonical_url')
+        .in('edition_id', editions.map(e => e.id))
+        .eq('article_status', 'published');
+
+      if (rowsError) throw rowsError;
+
+      const byId = Object.fromEntries(editions.map(e => [e.id, e]));
+      console.log(`🗂️ Checking repeats against ${rows.length} articles from ${editions.length} previous editions`);
+      return rows.map(r => ({
+        ...r,
+        issue_number: byId[r.edition_id]?.issue_number,
+        week_start_date: byId[r.edition_id]?.week_start_date
+      }));
+    } catch (error) {
+      console.warn('⚠️ Failed to load previous editions, skipping repeat check:', error.message);
+      return [];
+    }
+  }
+
+  // Flags a candidate that matches a story from a recent edition (repeatOf) and demotes it,
+  // unless it reports a development the earlier article didn't have
+  markRepeat(article) {
+    const recent = this.recentArticles || [];
+    if (recent.length === 0) return article;
+
+    const url = this.canonicalKey(article);
+    const title = this.normalizeTitle(article.title);
+    const story = this.normalizeTitle(`${article.title} ${article.description || ''}`);
+
+    let match = null;
+    let best = 0;
+    for (const prev of recent) {
+      const sameUrl = url && this.canonicalKey(prev) === url;
+      const titleSim = this.jaccard(title, this.normalizeTitle(prev.title));
+      const storySim = this.jaccard(story, this.normalizeTitle(`${prev.title} ${prev.description || ''}`));
+      const sim = sameUrl ? 1 : Math.max(titleSim, storySim);
+      const isRepeat = sameUrl || titleSim > this.settings.similarity || storySim > this.settings.clusterSimilarity;
+      if (isRepeat && sim > best) {
+        match = { prev, sameUrl };
+        best = sim;
       }
     }
-    return out;
+
+    if (!match) return article;
+
+    const { prev, sameUrl } = match;
+    const text = `${article.title} ${article.description || ''}`.toLowerCase();
+    const prevText = `${prev.title} ${prev.description || ''}`.toLowerCase();
+    const development = sameUrl ? null : DEVELOPMENT_TERMS.find(t => containsTerm(text, t) && !containsTerm(prevText, t));
+
+    const repeatOf = {
+      articleId: prev.id,
+      editionId: prev.edition_id,
+      issueNumber: prev.issue_number,
+      weekStart: prev.week_start_date,
+      title: prev.title,
+      url: prev.url,
+      similarity: Math.round(best * 100) / 100,
+      newDevelopment: development || null
+    };
+
+    if (development) {
+      console.log(`    🔁 Follow-up to issue #${prev.issue_number} ("${development}"): ${article.title?.substring(0, 50)}...`);
+      return { ...article, repeatOf };
+    }
+
+    console.log(`    🔁 Repeat of issue #${prev.issue_number}, demoted: ${article.title?.substring(0, 50)}...`);
+    const penalty = this.settings.repeatPenalty;
+    return {
+      ...article,
+      repeatOf,
+      score: Math.max(0, (article.score || 0) - penalty),
+      scoreBreakdown: [
+        ...(article.scoreBreakdown || []),
+        { rule: 'repeat', label: `Ran in issue #${prev.issue_number}`, points: -penalty, matched: [prev.title] }
+      ]
+    };
+  }
+
+  // Dedupe, clustering and repeat checks all key on the canonical URL; stored rows
+  // from before canonicalization only have url, so derive it
+  canonicalKey(article) {
+    return article.canonicalUrl || article.canonical_url || canonicalizeUrl(article.url);
+  }
+
+  normalizeTitle(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^\w\s]/g, '')
+      .replace(/\b(the|a|an|and|or|but|in|on|at|to|for|of|with|by|is|are|was|were|as|from|that|this|its|it|be|has|have|will|after|over|new|says)\b/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
   }
 
   jaccard(a, b) {
@@ -702,30 +1734,49 @@ class AutomatedWeeklyPublisher {
     return inter.size / uni.size;
   }
 
-  score(article) {
-    let s = 0;
-    const t = (article.title + ' ' + (article.description || '')).toLowerCase();
-    const highValue = ['executive order', 'supreme court', 'congress passes', 'senate votes', 'bill signed', 'federal ruling', 'white house', 'biden', 'trump'];
-    highValue.forEach(k => { if (t.includes(k)) s += 15; });
-    const mediumValue = ['congress', 'senate', 'house', 'federal', 'government', 'policy', 'legislation', 'court', 'judge', 'ruling', 'election', 'political'];
-    mediumValue.forEach(k => { if (t.includes(k)) s += 8; });
-    const lowValue = ['mayor', 'governor', 'local', 'state', 'business', 'economy', 'health', 'education'];
-    lowValue.forEach(k => { if (t.includes(k)) s += 3; });
-    const negative = ['celebrity', 'entertainment', 'sports', 'death', 'dies', 'shooting', 'crime'];
-    negative.forEach(k => { if (t.includes(k)) s -= 5; });
-    
-    // Weekly freshness scoring (less penalty for older articles)
-    if (article.publishedAt) {
-      const hrs = (Date.now() - new Date(article.publishedAt)) / 3600000;
-      if (hrs < 24) s += 8;
-      else if (hrs < 72) s += 5; // 3 days still good
-      else if (hrs < 168) s += 3; // 1 week acceptable
+  // /issue/<n> links must keep working when a week is cleared and regenerated, so a week keeps
+  // the number it was first given (edition_issue_numbers); new weeks get one past every number
+  // ever handed out
+  async issueNumberFor(weekStart) {
+    const { data: reserved, error: reservedError } = await supabase
+      .from('edition_issue_numbers')
+      .select('week_start_date, issue_number')
+      .order('issue_number', { ascending: false });
+    if (reservedError) {
+      console.warn('⚠️ Failed to load reserved issue numbers:', reservedError.message);
+    }
+
+    try {
+      const previous = (reserved || []).find(r => r.week_start_date === weekStart);
+      if (previous) {
+        console.log(`📊 Reusing issue number ${previous.issue_number} for the week of ${weekStart}`);
+        return previous.issue_number;
+      }
+
+      const { data: maxIssue, error } = await supabase
+        .from('weekly_editions')
+        .select('issue_number')
+        .order('issue_number', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      if (error) throw error;
+
+      const issue = Math.max(maxIssue?.issue_number || 0, reserved?.[0]?.issue_number || 0) + 1;
+      console.log(`📊 Using weekly issue number: ${issue}`);
+      return issue;
+    } catch (error) {
+      console.warn('⚠️ Weekly issue number calculation failed, using timestamp-based number:', error.message);
+      return Math.floor(this.now() / (7 * 86400000)); // Weekly based
+    }
+  }
+
+  async reserveIssueNumber(edition) {
+    const { error } = await supabase
+      .from('edition_issue_numbers')
+      .upsert({ week_start_date: edition.week_start_date, issue_number: edition.issue_number }, { onConflict: 'week_start_date' });
+    if (error) {
+      console.warn(`⚠️ Failed to record issue #${edition.issue_number} for the week of ${edition.week_start_date}:`, error.message);
     }
-    
-    const qualitySources = ['reuters', 'ap news', 'bloomberg', 'wall street journal', 'washington post', 'new york times', 'politico', 'cnn', 'fox news'];
-    if (qualitySources.some(src => (article.source?.name || '').toLowerCase().includes(src))) s += 5;
-    
-    return this.policyScore(article) * 2 + Math.max(0, s);
   }
 
   async createEdition(weekStart, articles, status) {
@@ -733,11 +1784,16 @@ class AutomatedWeeklyPublisher {
       console.warn('⚠️ No articles to create weekly edition with');
       throw new Error('Cannot create weekly edition without articles');
     }
+
+    if (this.dryRun) {
+      console.log(`🧪 Dry run - weekly edition for ${weekStart} not stored (${articles.length} articles)`);
+      return { id: null, week_start_date: weekStart, issue_number: null, status, dry_run: true, articles };
+    }
     
     // ✅ FIXED: Check for existing edition first
     const { data: existingEdition, error: checkError } = await supabase
       .from('weekly_editions')
-      .select('id, issue_number')
+      .select('id, issue_number, week_start_date')
       .eq('week_start_date', weekStart)
       .order('issue_number', { ascending: false })
       .limit(1)
@@ -745,29 +1801,12 @@ class AutomatedWeeklyPublisher {
 
     if (!checkError && existingEdition) {
       console.log(`📰 Weekly edition already exists for ${weekStart}, returning existing edition ${existingEdition.id}`);
+      // Editions from before numbers were recorded get theirs recorded the next time a run sees them
+      await this.reserveIssueNumber(existingEdition);
       return existingEdition;
     }
     
-    let issue = 1;
-    try {
-      // Try to get next issue number from weekly_editions
-      const { data: maxIssue, error } = await supabase
-        .from('weekly_editions')
-        .select('issue_number')
-        .order('issue_number', { ascending: false })
-        .limit(1)
-        .single();
-      
-      if (error && error.code !== 'PGRST116') {
-        console.warn('⚠️ Error getting max issue number:', error.message);
-      }
-      
-      issue = (maxIssue?.issue_number || 0) + 1;
-      console.log(`📊 Using weekly issue number: ${issue}`);
-    } catch (error) {
-      console.warn('⚠️ Weekly issue number calculation failed, using timestamp-based number');
-      issue = Math.floor(Date.now() / (7 * 86400000)); // Weekly based
-    }
+    const issue = await this.issueNumberFor(weekStart);
 
     const weekEnd = new Date(new Date(weekStart).getTime() + 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
@@ -809,6 +1848,7 @@ class AutomatedWeeklyPublisher {
         await this.sleep(2000);
       }
     }
+    await this.reserveIssueNumber(edition);
 
     const rows = articles.map(a => ({
       edition_id: edition.id,
@@ -816,14 +1856,26 @@ class AutomatedWeeklyPublisher {
       title: a.title,
       description: a.description,
       url: a.url,
+      canonical_url: this.canonicalKey(a) || null,
       image_url: a.urlToImage || a.image,
       source_name: a.source?.name || 'Unknown Source',
       published_at: a.publishedAt || new Date().toISOString(),
       analysis_text: a.analysis,
+      whats_happening: a.whatsHappening || null,
+      affects_me: a.affectsMe || null,
+      persona_notes: a.personaNotes || null,
+      claim_check: a.claimCheck || null,
+      analysis_status: a.analysisStatus || null,
       analysis_generated_at: a.analysis_generated_at,
       analysis_word_count: a.analysis_word_count,
       article_status: a.status,
-      article_score: a.score
+      article_score: a.score,
+      score_breakdown: a.scoreBreakdown || null,
+      also_covered_by: a.alsoCoveredBy || [],
+      repeat_of: a.repeatOf || null,
+      topic: a.topic || classifyTopic(a),
+      full_text: a.fullText || null,
+      prompt_version: a.promptVersion ?? null
     }));
 
     for (let attempt = 1; attempt <= 3; attempt++) {
@@ -842,41 +1894,183 @@ class AutomatedWeeklyPublisher {
     }
 
     console.log(`✅ Created weekly edition #${issue} with ${articles.length} articles`);
-    console.log(`📊 Weekly breakdown: ${articles.filter(a => a.status === 'published').length} published, ${articles.filter(a => a.status === 'queue').length} queued`);
+    console.log(`📊 Weekly breakdown: ${articles.filter(a => a.status === 'published').length} published, ${articles.filter(a => a.status === 'queue').length} queued, ${articles.filter(a => a.analysisStatus === 'pending').length} pending analysis`);
+    return edition;
+  }
+
+  // A draft goes to review once none of its analyses are still pending
+  async submitForReview(edition) {
+    if (this.dryRun || edition.status !== 'draft') return edition;
+
+    const { count, error } = await supabase
+      .from('analyzed_articles')
+      .select('id', { count: 'exact', head: true })
+      .eq('edition_id', edition.id)
+      .eq('analysis_status', 'pending');
+    if (error) throw error;
+
+    if (count > 0) {
+      console.log(`📝 Edition ${edition.id} stays a draft - ${count} analyses pending`);
+      return edition;
+    }
+
+    const updated = await this.setEditionStatus(edition.id, 'in_review', ['draft']);
+    if (updated) {
+      console.log(`👀 Edition #${updated.issue_number} ready for review`);
+      edition.status = updated.status;
+    }
     return edition;
   }
 
+  // Moves an edition to `status` if it is currently in one of fromStatuses; returns the updated
+  // row, or null if it was in some other status (another request got there first)
+  async setEditionStatus(editionId, status, fromStatuses, fields = {}) {
+    const { data, error } = await supabase
+      .from('weekly_editions')
+      .update({ status, ...fields, updated_at: new Date().toISOString() })
+      .eq('id', editionId)
+      .in('status', fromStatuses)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // Default release time for an edition: publishWeekday/publishHour (UTC) in its week, or now
+  // if that has already passed
+  defaultPublishTime(weekStart) {
+    const time = new Date(`${weekStart}T00:00:00Z`);
+    time.setUTCDate(time.getUTCDate() + (this.settings.publishWeekday + 6) % 7);
+    time.setUTCHours(this.settings.publishHour);
+    return new Date(Math.max(time.getTime(), this.now())).toISOString();
+  }
+
+  // Run by the publish check (api/cron/publish-scheduled.js): releases scheduled editions whose
+  // time has come, finishes any delivery an earlier check couldn't complete (or gives up on it
+  // after DELIVERY_RETRY_MS), then retries analyses the weekly runs left pending so their drafts
+  // can still reach review
+  async publishScheduledEditions() {
+    const now = new Date(this.now());
+    const result = { published: [], delivered: [], expired: [], filled: [] };
+
+    const { data: due, error } = await supabase
+      .from('weekly_editions')
+      .select('id, issue_number, scheduled_for')
+      .eq('status', 'scheduled')
+      .lte('scheduled_for', now.toISOString())
+      .order('scheduled_for', { ascending: true });
+    if (error) throw error;
+
+    for (const edition of due || []) {
+      if (await this.publishToWebsite(edition.id)) {
+        result.published.push(edition.issue_number);
+      }
+    }
+
+    const { data: unsent, error: unsentError } = await supabase
+      .from('weekly_editions')
+      .select('id, issue_number')
+      .eq('status', 'published')
+      .gte('published_at', new Date(now.getTime() - DELIVERY_RETRY_MS).toISOString())
+      .order('published_at', { ascending: true });
+    if (unsentError) throw unsentError;
+
+    for (const edition of unsent || []) {
+      const delivery = await this.markNewsletterSent(edition.id);
+      result.delivered.push({ issue_number: edition.issue_number, ...delivery });
+    }
+
+    // Past the retry window nobody would otherwise notice the edition never went out
+    const { data: stale, error: staleError } = await supabase
+      .from('weekly_editions')
+      .select('id, issue_number')
+      .eq('status', 'published')
+      .lt('published_at', new Date(now.getTime() - DELIVERY_RETRY_MS).toISOString());
+    if (staleError) throw staleError;
+
+    for (const edition of stale || []) {
+      if (this.dryRun) break;
+      if (await this.setEditionStatus(edition.id, 'delivery_failed', ['published'])) {
+        console.error(`❌ Issue #${edition.issue_number} still not delivered ${DELIVERY_RETRY_MS / 3600000}h after publishing - marked delivery_failed`);
+        result.expired.push(edition.issue_number);
+      }
+    }
+
+    result.filled = await this.fillPendingDrafts();
+    return result;
+  }
+
+  // Drafts only move to review once nothing is pending, and the Monday follow-up run is the
+  // last weekly run - so every publish check fills what it can in its remaining time budget
+  async fillPendingDrafts() {
+    const { data: drafts, error } = await supabase
+      .from('weekly_editions')
+      .select('*')
+      .eq('status', 'draft')
+      .order('week_start_date', { ascending: true });
+    if (error) throw error;
+    if (!drafts || drafts.length === 0) return [];
+
+    await this.loadSettings();
+
+    const filled = [];
+    for (const edition of drafts) {
+      if (this.timeLeft() <= 0) break;
+      const count = await this.fillPendingAnalyses(edition.id);
+      const updated = await this.submitForReview(edition);
+      filled.push({ issue_number: edition.issue_number, filled: count, status: updated.status });
+    }
+    return filled;
+  }
+
   async publishToWebsite(editionId) {
+    if (this.dryRun) return null;
     try {
-      const { error } = await supabase
-        .from('weekly_editions')
-        .update({ status: 'published', updated_at: new Date().toISOString() })
-        .eq('id', editionId);
-      if (error) throw error;
-      console.log('✅ Weekly edition published to website');
+      const edition = await this.setEditionStatus(editionId, 'published', ['scheduled'], {
+        published_at: new Date().toISOString()
+      });
+      if (edition) {
+        console.log(`✅ Weekly edition #${edition.issue_number} published to website`);
+      }
+      return edition;
     } catch (error) {
       console.error('❌ publishToWebsite failed:', error.message);
       throw error;
     }
   }
 
-  async markNewsletterSent(editionId) {
+  // Emails the edition and marks it 'sent' only once every recipient has been sent to or has
+  // used up its attempts and at least one send succeeded; until then it stays 'published' and the
+  // next publish check resumes it. If nothing could be sent it becomes 'delivery_failed', which
+  // the publish check leaves alone; an admin resend (retryFailed) tries every recipient again.
+  // Delivery problems are returned as { complete: false, error }, never thrown.
+  async markNewsletterSent(editionId, { retryFailed = false } = {}) {
+    if (this.dryRun) return null;
     try {
-      const { error } = await supabase
-        .from('weekly_editions')
-        .update({ status: 'sent' })
-        .eq('id', editionId);
-      if (error) {
-        console.warn('⚠️ Failed to mark weekly newsletter as sent:', error.message);
-      } else {
-        console.log('✅ Weekly newsletter marked as sent');
+      const delivery = await this.delivery.deliverEdition(editionId, { deadline: this.deadline, retryFailed });
+
+      if (delivery.undeliverable) {
+        await this.setEditionStatus(editionId, 'delivery_failed', ['published', 'delivery_failed']);
+        console.error(`❌ Newsletter delivery failed for all ${delivery.failed} recipients - edition marked delivery_failed`);
+        return delivery;
       }
+
+      if (!delivery.complete) {
+        console.warn(`⚠️ Newsletter delivery incomplete (${delivery.pending} pending, ${delivery.sending} sending, ${delivery.failed} failed) - edition not marked sent`);
+        return delivery;
+      }
+
+      await this.setEditionStatus(editionId, 'sent', ['published', 'delivery_failed'], { sent_at: new Date().toISOString() });
+      console.log(`✅ Weekly newsletter sent to ${delivery.sent} of ${delivery.total} recipients`);
+      return delivery;
     } catch (error) {
       console.warn('⚠️ markNewsletterSent error:', error.message);
+      return { complete: false, error: error.message };
     }
   }
 
   async findEdition(weekStart) {
+    if (this.dryRun) return null;
     try {
       const { data, error } = await supabase
         .from('weekly_editions')
@@ -911,6 +2105,7 @@ class AutomatedWeeklyPublisher {
       title: article.title,
       description: article.description,
       url: article.url,
+      canonicalUrl: canonicalizeUrl(article.url),
       urlToImage: article.urlToImage,
       publishedAt: article.publishedAt,
       source: {
@@ -924,6 +2119,7 @@ class AutomatedWeeklyPublisher {
       title: article.title,
       description: article.description,
       url: article.url,
+      canonicalUrl: canonicalizeUrl(article.url),
       urlToImage: article.image,
       publishedAt: article.publishedAt,
       source: {
@@ -932,15 +2128,38 @@ class AutomatedWeeklyPublisher {
     };
   }
 
+  normalizeFeedItem(item, feedTitle) {
+    const published = item.published ? new Date(item.published) : null;
+    return {
+      title: item.title,
+      description: item.description ? item.description.substring(0, 500) : '',
+      url: item.link,
+      canonicalUrl: canonicalizeUrl(item.link),
+      urlToImage: item.image || null,
+      publishedAt: published && !isNaN(published) ? published.toISOString() : null,
+      source: {
+        name: item.sourceName || feedTitle || 'Unknown Source'
+      }
+    };
+  }
+
+  // All provider, page and model HTTP calls go through here so they can be recorded/replayed
+  externalFetch(label, key, url, options) {
+    this.run.call(label);
+    return this.fixtures.fetch(label, key, url, options);
+  }
+
   sleep(ms) {
+    // Replays have no rate limits to respect
+    if (this.fixtures.isReplay) return Promise.resolve();
     return new Promise(r => setTimeout(r, ms));
   }
 }
 
 // Export the class and workflow function
-export { AutomatedWeeklyPublisher };
+export { AutomatedWeeklyPublisher, DEFAULT_EDITORIAL_SETTINGS, WORKFLOW_STAGES, EDITION_STATUSES, validateEditorialSettings };
 
-export async function runAutomatedWeeklyWorkflow() {
-  const p = new AutomatedWeeklyPublisher();
+export async function runAutomatedWeeklyWorkflow(options = {}) {
+  const p = new AutomatedWeeklyPublisher(options);
   return p.runFullWorkflow();
 }
@@ -13,7 +13,8 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
-  if (req.method !== 'POST') {
+  // Vercel cron invocations are GET requests
+  if (req.method !== 'POST' && req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
@@ -26,13 +27,13 @@ export default async function handler(req, res) {
 
   const startTime = Date.now();
   try {
-    // Run the weekly workflow
-    const edition = await runAutomatedWeeklyWorkflow();
+    // Run the weekly workflow - follow-up runs for the same week fill in pending analyses
+    const edition = await runAutomatedWeeklyWorkflow({ trigger: 'cron' });
 
     // Get articles for response
     const { data: articles } = await supabase
       .from('analyzed_articles')
-      .select('title, analysis_text, article_status, article_score')
+      .select('title, analysis_text, article_status, article_score, analysis_status')
       .eq('edition_id', edition.id)
       .order('article_order');
 
@@ -41,6 +42,7 @@ export default async function handler(req, res) {
       !a.analysis_text.includes('depends on implementation')
     ) || [];
 
+    const pending = articles?.filter(a => a.analysis_status === 'pending').length || 0;
     const duration = Math.floor((Date.now() - startTime) / 1000);
 
     const response = {
@@ -57,6 +59,7 @@ export default async function handler(req, res) {
         duration_seconds: duration,
         articles_processed: articles?.length || 0,
         articles_analyzed: articlesWithAnalysis.length,
+        articles_pending: pending,
         success_rate: articles?.length > 0 ? Math.round((articlesWithAnalysis.length / articles.length) * 100) : 0
       },
       articles_preview: articles?.slice(0, 5).map(a => ({
@@ -0,0 +1,68 @@
+// api/cron/canonical-url.js - Canonical article URLs so the same story from two providers matches
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', 'ref', 'ref_src', 'ref_url',
+  'cmpid', 'cmp', 'smid', 'smtyp', 'ocid', 'taid', 'guccounter', 'src', 'sr_share', 'spm',
+  'rss', 'mod', 'ito', 'amp', 'outputtype'
+];
+const TRACKING_PREFIXES = ['utm_', 'at_', 'guce_', '_ga', '_hs', 'mkt_', 'pk_'];
+
+// Mobile and AMP hosts serve the same article as the main site
+const HOST_PREFIXES = ['www.', 'm.', 'mobile.', 'amp.'];
+
+// Returns https://host/path?sorted-params with tracking, AMP and mobile variants removed.
+// Unparseable input is returned trimmed so callers can still use it as a key.
+function canonicalizeUrl(raw) {
+  if (!raw || typeof raw !== 'string') return '';
+
+  let url;
+  try {
+    url = new URL(unwrapAmpCache(raw.trim()));
+  } catch {
+    return raw.trim();
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) return raw.trim();
+
+  let host = url.hostname.toLowerCase();
+  let stripped = true;
+  while (stripped) {
+    stripped = false;
+    for (const prefix of HOST_PREFIXES) {
+      if (host.startsWith(prefix) && host.split('.').length > 2) {
+        host = host.slice(prefix.length);
+        stripped = true;
+      }
+    }
+  }
+
+  const path = url.pathname
+    .replace(/\/amp(\/|$)/gi, '/')
+    .replace(/\.amp(\.html?)?$/i, '$1')
+    .replace(/\/{2,}/g, '/')
+    .replace(/\/+$/, '') || '/';
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => {
+      const k = key.toLowerCase();
+      return !TRACKING_PARAMS.includes(k) && !TRACKING_PREFIXES.some(p => k.startsWith(p));
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = params.length > 0 ? '?' + new URLSearchParams(params).toString() : '';
+  const port = url.port && !['80', '443'].includes(url.port) ? `:${url.port}` : '';
+
+  return `https://${host}${port}${path === '/' ? '' : path}${query}`;
+}
+
+// https://www-site-com.cdn.ampproject.org/c/s/www.site.com/story and
+// https://www.google.com/amp/s/www.site.com/story both point at www.site.com/story
+function unwrapAmpCache(raw) {
+  const match = raw.match(/^https?:\/\/[^/]+\.cdn\.ampproject\.org\/(?:[a-z]\/)*(s\/)?(.+)$/i) ||
+    raw.match(/^https?:\/\/(?:www\.)?google\.[a-z.]+\/amp\/(s\/)?(.+)$/i);
+  if (!match) return raw;
+  return `${match[1] ? 'https' : 'http'}://${match[2]}`;
+}
+
+export { canonicalizeUrl };
@@ -0,0 +1,226 @@
+// api/cron/claim-check.js - Checks that the facts in an analysis appear in the article it analyzes
+
+// Claim types pulled from the analysis:
+//   number - dollar amounts, percentages and counts ("$1.2 billion", "15%", "40,000")
+//   date   - month + day and/or year ("March 15", "Jan. 1, 2026", "2027")
+//   agency - known agency acronyms and named departments, administrations, bureaus...
+//   law    - "... Act", bill numbers (H.R. 123, S. 45) and "Section 230"
+const CLAIM_TYPES = ['number', 'date', 'agency', 'law'];
+
+// off - skip the check; flag - store unsupported claims for the admin card;
+// reject - also fail the analysis so the workflow regenerates it
+const CLAIM_CHECK_MODES = ['off', 'flag', 'reject'];
+
+// Acronyms and the names a source is likely to use instead
+const KNOWN_AGENCIES = {
+  cbo: ['congressional budget office'],
+  cdc: ['centers for disease control'],
+  cfpb: ['consumer financial protection bureau'],
+  cms: ['centers for medicare'],
+  dhs: ['homeland security'],
+  doe: ['energy department', 'department of energy'],
+  doj: ['justice department', 'department of justice'],
+  dol: ['labor department', 'department of labor'],
+  dot: ['transportation department', 'department of transportation'],
+  epa: ['environmental protection agency'],
+  faa: ['federal aviation administration'],
+  fbi: ['federal bureau of investigation'],
+  fcc: ['federal communications commission'],
+  fda: ['food and drug administration'],
+  fema: ['federal emergency management agency'],
+  ferc: ['federal energy regulatory commission'],
+  ftc: ['federal trade commission'],
+  hhs: ['health and human services'],
+  hud: ['housing and urban development'],
+  ice: ['immigration and customs enforcement'],
+  irs: ['internal revenue service'],
+  nhtsa: ['national highway traffic safety administration'],
+  nih: ['national institutes of health'],
+  nlrb: ['national labor relations board'],
+  osha: ['occupational safety and health administration'],
+  sba: ['small business administration'],
+  sec: ['securities and exchange commission'],
+  ssa: ['social security administration'],
+  tsa: ['transportation security administration'],
+  usda: ['agriculture department', 'department of agriculture'],
+  va: ['veterans affairs']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = /\b(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\.?(?:\s+(\d{1,2})(?:st|nd|rd|th)?\b)?(?:,?\s+((?:19|20)\d{2})\b)?/g;
+const YEAR_PATTERN = /\b(?:19|20)\d{2}\b/g;
+const NUMBER_PATTERN = /(\$\s?)?\b(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?![\w.,]\d|\w)(?:\s*(%)|\s+(percent|thousand|million|billion|trillion)\b)?/gi;
+const SCALES = { thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12 };
+
+const AGENCY_NAME_PATTERN = /\b(?:Department|Dept\.) of (?:the )?[A-Z][a-z]+(?: (?:and )?[A-Z][a-z]+)*|\b(?:[A-Z][a-z]+ ){1,5}(?:Administration|Agency|Bureau|Commission|Board|Service|Department)\b/g;
+// Senate bills ("S. 1234") need a non-letter, non-dot before the S so "U.S. 10 largest banks" isn't one
+const LAW_PATTERN = /\b[A-Z][\w'.-]*(?:\s+(?:[A-Z][\w'.-]*|of|and|for|the|to|on|in|from))*\s+Act\b(?:\s+of\s+(?:19|20)\d{2})?|\bH\.\s?R\.\s?\d+|(?<![\w.])S\.\s?\d+\b|\bSection\s+\d+[a-z]?\b/g;
+// Capitalized sentence openers that get swept into "... Act" matches
+const LAW_LEADING_WORDS = /^(?:(?:The|A|An|Under|This|That|New|If|When|While|But|And|So|Because|Since|Now|Its|Their|Our|Your)\s+)+/i;
+
+// Returns [{ type, text, ...parsed }] - one entry per distinct claim
+function extractClaims(text) {
+  if (!text) return [];
+
+  const claims = [];
+  const seen = new Set();
+  const add = claim => {
+    const key = `${claim.type}:${claim.text.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    claims.push(claim);
+  };
+
+  // Laws, then dates, are blanked out once matched so "Act of 2022" isn't also a date
+  // and "Section 230" or "March 15" aren't also read as numbers
+  const blank = match => ' '.repeat(match.length);
+  let rest = text.replace(LAW_PATTERN, match => {
+    const name = match.replace(LAW_LEADING_WORDS, '').trim();
+    if (!name || name === 'Act') return match;
+    add({ type: 'law', text: name });
+    return blank(match);
+  });
+  rest = rest.replace(MONTH_PATTERN, (match, month, day, year) => {
+    if (!day && !year) return match; // a bare month ("in March") isn't specific enough to check
+    add({ type: 'date', text: match.trim(), month: MONTHS.indexOf(month.slice(0, 3).toLowerCase()), day: day ? Number(day) : null, year: year || null });
+    return blank(match);
+  });
+  rest = rest.replace(YEAR_PATTERN, match => {
+    add({ type: 'date', text: match, month: -1, day: null, year: match });
+    return blank(match);
+  });
+
+  Object.keys(KNOWN_AGENCIES).forEach(acronym => {
+    if (new RegExp(`\\b${acronym.toUpperCase()}\\b`).test(rest)) {
+      add({ type: 'agency', text: acronym.toUpperCase() });
+    }
+  });
+  (rest.match(AGENCY_NAME_PATTERN) || []).forEach(match => {
+    add({ type: 'agency', text: match.replace(LAW_LEADING_WORDS, '').trim() });
+  });
+
+  parseNumbers(rest).forEach(number => {
+    // Small bare counts ("two bills", "3 ways") are too common to be worth flagging
+    if (!number.unit && !number.money && !number.decimal && number.value < 10) return;
+    add({ type: 'number', ...number });
+  });
+
+  return claims;
+}
+
+// Returns { checked, unsupported: [{ type, text }], basis, checkedAt } where basis says whether
+// the full article text was available or only the title and description
+function checkClaims(analysis, article = {}) {
+  const sourceText = [article.title, article.description, article.fullText].filter(Boolean).join('\n');
+  const source = buildSourceIndex(sourceText);
+  const claims = extractClaims(analysis);
+
+  const unsupported = claims
+    .filter(claim => !isSupported(claim, source))
+    .map(claim => ({ type: claim.type, text: claim.text }));
+
+  return {
+    checked: claims.length,
+    unsupported,
+    basis: article.fullText ? 'full-text' : 'summary',
+    checkedAt: new Date().toISOString()
+  };
+}
+
+function buildSourceIndex(text) {
+  const dates = [];
+  let rest = text.replace(MONTH_PATTERN, (match, month, day, year) => {
+    dates.push({ month: MONTHS.indexOf(month.slice(0, 3).toLowerCase()), day: day ? Number(day) : null, year: year || null });
+    return ' '.repeat(match.length);
+  });
+  rest = rest.replace(YEAR_PATTERN, match => ' '.repeat(match.length));
+
+  return {
+    lower: normalizeText(text),
+    years: new Set(text.match(YEAR_PATTERN) || []),
+    dates,
+    numbers: parseNumbers(rest)
+  };
+}
+
+function isSupported(claim, source) {
+  if (claim.type === 'number') {
+    // Scale words don't have to match ("4.3 million" vs "4,300,000"), percentages do
+    return source.numbers.some(n => (n.unit === '%') === (claim.unit === '%') && closeTo(n.value, claim.value));
+  }
+
+  if (claim.type === 'date') {
+    const yearOk = !claim.year || source.years.has(claim.year);
+    if (claim.month < 0) return yearOk;
+    const monthOk = source.dates.some(d => d.month === claim.month && (claim.day === null || d.day === claim.day));
+    return monthOk && yearOk;
+  }
+
+  if (claim.type === 'agency') {
+    return agencyNames(claim.text).some(name => containsPhrase(source.lower, name));
+  }
+
+  if (claim.type === 'law') {
+    const name = normalizeText(claim.text);
+    return containsPhrase(source.lower, name) || containsPhrase(source.lower, name.replace(/ of (?:19|20)\d{2}$/, ''));
+  }
+
+  return true;
+}
+
+// "$1.2 billion" -> { text, value: 1200000000, unit: 'billion', money: true, decimal: true }
+function parseNumbers(text) {
+  const numbers = [];
+  text.replace(NUMBER_PATTERN, (match, money, whole, decimal, percentSign, word) => {
+    const unit = percentSign ? '%' : word ? word.toLowerCase().replace('percent', '%') : null;
+    const base = parseFloat(`${whole.replace(/,/g, '')}${decimal ? '.' + decimal : ''}`);
+    numbers.push({
+      text: match.trim(),
+      value: base * (SCALES[unit] || 1),
+      unit,
+      money: !!money,
+      decimal: !!decimal
+    });
+    return match;
+  });
+  return numbers;
+}
+
+// Rounding between sources ("$1.2 billion" vs "$1,215 million") is within half a percent
+function closeTo(a, b) {
+  return Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * 0.005;
+}
+
+// Every name a source might use for an agency claim: the acronym, its known names,
+// and "Labor Department" for "Department of Labor" (and back)
+function agencyNames(text) {
+  const lower = normalizeText(text).replace(/^dept\. /, 'department ');
+  const names = new Set([lower]);
+
+  const known = KNOWN_AGENCIES[lower];
+  if (known) known.forEach(name => names.add(name));
+  Object.entries(KNOWN_AGENCIES).forEach(([acronym, list]) => {
+    if (list.some(name => lower.includes(name))) {
+      names.add(acronym);
+      list.forEach(name => names.add(name));
+    }
+  });
+
+  const departmentOf = lower.match(/^department of (?:the )?(.+)$/);
+  if (departmentOf) names.add(`${departmentOf[1]} department`);
+  const suffixed = lower.match(/^(.+) department$/);
+  if (suffixed) names.add(`department of ${suffixed[1]}`);
+
+  return [...names];
+}
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/[’']/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+function containsPhrase(haystack, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(haystack);
+}
+
+export { CLAIM_TYPES, CLAIM_CHECK_MODES, extractClaims, checkClaims };
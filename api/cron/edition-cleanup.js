@@ -0,0 +1,21 @@
+// api/cron/edition-cleanup.js - Deleting an edition for a refetch or Clear Edition, and which editions may not be
+import { createClient } from '@supabase/supabase-js';
+import { RELEASED_STATUSES } from './public-articles.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// Editions readers (or the publish cron) may already have; never deleted by an admin action
+const PROTECTED_STATUSES = ['scheduled', ...RELEASED_STATUSES];
+
+// Articles and delivery records go first (foreign keys); a failed delete stops here so nothing
+// is left with a half-deleted edition
+async function deleteEdition(editionId) {
+  for (const [table, column] of [['analyzed_articles', 'edition_id'], ['newsletter_deliveries', 'edition_id'], ['weekly_editions', 'id']]) {
+    const { error } = await supabase.from(table).delete().eq(column, editionId);
+    if (error) {
+      throw new Error(`Failed to delete ${table} for edition ${editionId}: ${error.message}`);
+    }
+  }
+}
+
+export { PROTECTED_STATUSES, deleteEdition };
@@ -0,0 +1,154 @@
+// api/cron/model-client.js - Chat completion client for OpenAI, Anthropic and OpenAI-compatible servers
+
+// LLM_PROVIDER picks the wire format; LLM_BASE_URL / LLM_MODEL / LLM_API_KEY override the defaults.
+// 'openai-compatible' covers local servers (Ollama, LM Studio, vLLM, a mock) that speak /chat/completions.
+const MODEL_PROVIDERS = {
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4.1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresKey: true
+  },
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-sonnet-4-5',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    requiresKey: true
+  },
+  'openai-compatible': {
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'local-model',
+    apiKeyEnv: null,
+    requiresKey: false
+  }
+};
+
+export class ModelClient {
+  constructor({ provider = 'openai', baseUrl, model, apiKey, fetchImpl } = {}) {
+    const defaults = MODEL_PROVIDERS[provider];
+    if (!defaults) {
+      throw new Error(`Unknown LLM_PROVIDER "${provider}" - use ${Object.keys(MODEL_PROVIDERS).join(', ')}`);
+    }
+
+    this.provider = provider;
+    this.baseUrl = (baseUrl || defaults.baseUrl).replace(/\/+$/, '');
+    this.model = model || defaults.model;
+    this.apiKey = apiKey || (defaults.apiKeyEnv ? process.env[defaults.apiKeyEnv] : null) || null;
+    this.requiresKey = defaults.requiresKey;
+    // fetchImpl(url, options, key) - key identifies the call for fixture record/replay
+    this.fetchImpl = fetchImpl || ((url, options) => fetch(url, options));
+  }
+
+  static fromEnv(fetchImpl) {
+    return new ModelClient({
+      provider: process.env.LLM_PROVIDER || 'openai',
+      baseUrl: process.env.LLM_BASE_URL,
+      model: process.env.LLM_MODEL,
+      apiKey: process.env.LLM_API_KEY,
+      fetchImpl
+    });
+  }
+
+  get isConfigured() {
+    return !this.requiresKey || !!this.apiKey;
+  }
+
+  get label() {
+    return `${this.provider}/${this.model}`;
+  }
+
+  // Returns the completion text (trimmed); throws on HTTP errors, empty completions and timeouts.
+  // json: true asks OpenAI for a JSON object; other providers rely on the prompt instructions.
+  async complete({ system, prompt, maxTokens = 350, temperature = 0.4, json = false, key = prompt, timeoutMs = null }) {
+    if (!this.isConfigured) {
+      const env = MODEL_PROVIDERS[this.provider].apiKeyEnv;
+      throw new Error(`${this.label}: API key not set (LLM_API_KEY${env ? ` or ${env}` : ''})`);
+    }
+
+    const request = this.provider === 'anthropic'
+      ? this.anthropicRequest(system, prompt, maxTokens, temperature)
+      : this.chatCompletionsRequest(system, prompt, maxTokens, temperature, json);
+
+    if (timeoutMs) {
+      request.options.signal = AbortSignal.timeout(timeoutMs);
+    }
+
+    let response;
+    try {
+      response = await this.fetchImpl(request.url, request.options, key);
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`${this.label} timed out after ${timeoutMs}ms`);
+      }
+      throw error;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`${this.label} HTTP ${response.status} ${response.statusText} :: ${errorText}`);
+    }
+
+    const data = await response.json();
+    const content = this.provider === 'anthropic'
+      ? (data?.content || []).filter(c => c.type === 'text').map(c => c.text).join('').trim()
+      : data?.choices?.[0]?.message?.content?.trim();
+
+    if (!content) {
+      throw new Error(`Empty completion from ${this.label}`);
+    }
+
+    return content;
+  }
+
+  chatCompletionsRequest(system, prompt, maxTokens, temperature, json) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const body = {
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: maxTokens,
+      temperature
+    };
+    // Local OpenAI-compatible servers don't all support response_format
+    if (json && this.provider === 'openai') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      options: {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      }
+    };
+  }
+
+  anthropicRequest(system, prompt, maxTokens, temperature) {
+    return {
+      url: `${this.baseUrl}/messages`,
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+          model: this.model,
+          system,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: maxTokens,
+          // Anthropic caps temperature at 1
+          temperature: Math.min(temperature, 1)
+        })
+      }
+    };
+  }
+}
+
+export { MODEL_PROVIDERS };
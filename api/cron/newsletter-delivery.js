@@ -0,0 +1,312 @@
+// api/cron/newsletter-delivery.js - Emails a published edition over SMTP, one newsletter_deliveries row per recipient
+import { createClient } from '@supabase/supabase-js';
+import nodemailer from 'nodemailer';
+import { subscriberLink, listActiveEmails, tokensConfigured } from './subscribers.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// pending - not tried yet (or the run ran out of time); sending - claimed by a run that is
+// sending it now; sent - accepted by the SMTP server; failed - rejected, retried on the next
+// send until MAX_SEND_ATTEMPTS; skipped - unsubscribed before their copy went out
+const DELIVERY_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+
+const MAX_SEND_ATTEMPTS = 3;
+
+// A row left in sending this long belongs to a run that died mid-send and is claimable again
+const STALE_SENDING_MS = 15 * 60 * 1000;
+
+// Sending stops with this much left before the caller's deadline; the rest stay pending
+const MIN_SEND_MS = 5000;
+
+// SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS. A local catcher (Mailpit,
+// MailHog, smtp4dev) only needs SMTP_HOST=localhost SMTP_PORT=1025.
+function smtpConfigFromEnv() {
+  if (!process.env.SMTP_HOST) return null;
+
+  const port = parseInt(process.env.SMTP_PORT || '587');
+  return {
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined,
+    pool: true
+  };
+}
+
+class NewsletterDelivery {
+  constructor({ transport, from, siteUrl, recipients } = {}) {
+    const smtp = transport ? null : smtpConfigFromEnv();
+    this.transport = transport || (smtp ? nodemailer.createTransport(smtp) : null);
+    this.from = from || process.env.NEWSLETTER_FROM || 'How the News Affects You <newsletter@localhost>';
+    // Links in emails (confirm, unsubscribe, web version) point here
+    this.siteUrl = (siteUrl || process.env.SITE_URL ||
+      (process.env.VERCEL_PROJECT_PRODUCTION_URL ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}` : '')).replace(/\/+$/, '');
+    // Active subscribers unless a list is passed in (scripts, local testing)
+    this.recipients = recipients || null;
+  }
+
+  get isConfigured() {
+    return !!this.transport;
+  }
+
+  // Sends to every recipient not already sent to. Returns summarizeDeliveries() of the rows.
+  // retryFailed also resends to recipients that used up their attempts (an admin resend after
+  // fixing SMTP); otherwise they are left alone.
+  async deliverEdition(editionId, { deadline = null, retryFailed = false } = {}) {
+    if (!this.isConfigured) {
+      throw new Error('SMTP not configured (SMTP_HOST)');
+    }
+    if (!this.siteUrl) {
+      throw new Error('SITE_URL not set - every issue needs an unsubscribe link');
+    }
+    if (!tokensConfigured()) {
+      throw new Error('SUBSCRIBER_TOKEN_SECRET not set - every issue needs an unsubscribe link');
+    }
+
+    const { edition, articles } = await this.loadEdition(editionId);
+    if (articles.length === 0) {
+      throw new Error(`Edition ${editionId} has no published articles to send`);
+    }
+
+    const recipients = this.recipients || await listActiveEmails();
+    const rows = await this.prepareDeliveries(editionId, recipients);
+    const due = rows.filter(r => r.status === 'pending' || isStaleSending(r) ||
+      (r.status === 'failed' && (retryFailed || r.attempts < MAX_SEND_ATTEMPTS)));
+
+    console.log(`📧 Sending issue #${edition.issue_number} to ${due.length} of ${rows.length} recipients`);
+
+    for (const row of due) {
+      if (deadline && deadline - Date.now() < MIN_SEND_MS) {
+        console.warn('⏱️ Out of time - remaining recipients stay pending');
+        break;
+      }
+      // The publish cron and an admin's Send can run at once; only the run that claims a row sends it
+      if (!await this.claimDelivery(row)) continue;
+      if (recipients.includes(row.email)) {
+        await this.sendTo(row, this.renderEdition(edition, articles, row.email));
+      } else {
+        await this.recordDelivery(row, { status: 'skipped' });
+      }
+    }
+
+    // Re-read rather than trusting our copy: rows another run claimed may have finished meanwhile
+    const summary = summarizeDeliveries(await this.listDeliveries(editionId));
+    console.log(`📧 Delivery for issue #${edition.issue_number}: ${summary.sent} sent, ${summary.failed} failed, ${summary.skipped} skipped, ${summary.pending} pending, ${summary.sending} sending`);
+    return summary;
+  }
+
+  // Marks a row sending if it is still as we read it. Returns false when another run got there first.
+  async claimDelivery(row) {
+    let query = supabase
+      .from('newsletter_deliveries')
+      .update({ status: 'sending', updated_at: new Date().toISOString() })
+      .eq('id', row.id)
+      .eq('status', row.status)
+      .eq('attempts', row.attempts || 0);
+    if (row.status === 'sending') {
+      query = query.eq('updated_at', row.updated_at);
+    }
+
+    const { data, error } = await query.select('id').maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log(`⏭️ Delivery ${row.id} already claimed by another run`);
+    }
+    return !!data;
+  }
+
+  async sendTo(row, email) {
+    const attempts = (row.attempts || 0) + 1;
+    let update;
+    try {
+      const info = await this.transport.sendMail({ from: this.from, to: row.email, ...email });
+      update = { status: 'sent', attempts, error: null, message_id: info.messageId || null, sent_at: new Date().toISOString() };
+    } catch (error) {
+      console.warn(`⚠️ Delivery ${row.id} failed (attempt ${attempts}):`, error.message);
+      update = { status: 'failed', attempts, error: error.message };
+    }
+    return this.recordDelivery(row, update);
+  }
+
+  async recordDelivery(row, update) {
+    const { error } = await supabase
+      .from('newsletter_deliveries')
+      .update({ ...update, updated_at: new Date().toISOString() })
+      .eq('id', row.id);
+    if (error) {
+      console.warn(`⚠️ Failed to record delivery ${row.id}:`, error.message);
+    }
+    return update;
+  }
+
+  // One row per (edition, email); subscribers who confirmed since the last send get a pending row
+  async prepareDeliveries(editionId, recipients) {
+    if (recipients.length > 0) {
+      const { error } = await supabase
+        .from('newsletter_deliveries')
+        .upsert(
+          recipients.map(email => ({ edition_id: editionId, email, status: 'pending', attempts: 0 })),
+          { onConflict: 'edition_id,email', ignoreDuplicates: true }
+        );
+      if (error) throw error;
+    }
+
+    const rows = await this.listDeliveries(editionId);
+    if (rows.length === 0) {
+      throw new Error('No active subscribers to send to');
+    }
+    return rows;
+  }
+
+  async listDeliveries(editionId) {
+    const { data, error } = await supabase
+      .from('newsletter_deliveries')
+      .select('id, email, status, attempts, error, sent_at, updated_at')
+      .eq('edition_id', editionId)
+      .order('email', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  async loadEdition(editionId) {
+    const { data: edition, error } = await supabase
+      .from('weekly_editions')
+      .select('id, issue_number, status, week_start_date, week_end_date, featured_headline')
+      .eq('id', editionId)
+      .single();
+    if (error) throw error;
+
+    const { data: articles, error: articlesError } = await supabase
+      .from('analyzed_articles')
+      .select('title, description, url, source_name, analysis_text, whats_happening, affects_me, article_order')
+      .eq('edition_id', editionId)
+      .eq('article_status', 'published')
+      .order('article_order', { ascending: true });
+    if (articlesError) throw articlesError;
+
+    return { edition, articles: articles || [] };
+  }
+
+  // Double opt-in: the address only becomes a subscriber once this link is followed
+  async sendConfirmation(email) {
+    if (!this.isConfigured) {
+      throw new Error('SMTP not configured (SMTP_HOST)');
+    }
+    if (!this.siteUrl) {
+      throw new Error('SITE_URL not set - the confirmation link needs it');
+    }
+
+    const confirmUrl = subscriberLink(this.siteUrl, 'confirm', email);
+    await this.transport.sendMail({
+      from: this.from,
+      to: email,
+      subject: 'Confirm your subscription to How the News Affects You',
+      html: `<div style="max-width:520px;margin:0 auto;padding:24px;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+  <p style="font-size:15px;line-height:1.5;">Please confirm that you want the weekly How the News Affects You newsletter at ${escapeHtml(email)}.</p>
+  <p style="margin:24px 0;"><a href="${escapeHtml(confirmUrl)}" style="background:#1f2937;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">Confirm subscription</a></p>
+  <p style="font-size:13px;color:#6b7280;">If you didn't sign up, ignore this email - you won't be subscribed. The link works for 7 days.</p>
+</div>`,
+      text: `Please confirm that you want the weekly How the News Affects You newsletter at ${email}:\n\n${confirmUrl}\n\nIf you didn't sign up, ignore this email - you won't be subscribed. The link works for 7 days.\n`
+    });
+  }
+
+  // Returns { subject, html, text, headers } for one recipient - the same content as the public
+  // page, without persona notes, plus that recipient's unsubscribe link
+  renderEdition(edition, articles, email) {
+    const unsubscribeUrl = subscriberLink(this.siteUrl, 'unsubscribe', email);
+    const webUrl = `${this.siteUrl}/issue/${edition.issue_number}`;
+    const heading = `Issue #${edition.issue_number} • Week of ${formatDate(edition.week_start_date)}`;
+    const subject = `How the News Affects You #${edition.issue_number}: ${edition.featured_headline || articles[0].title}`;
+    const sections = articles.map(a => ({
+      title: a.title,
+      url: a.url,
+      source: a.source_name || 'Unknown Source',
+      paragraphs: a.whats_happening || a.affects_me
+        ? [['What\'s happening', a.whats_happening], ['How it affects you', a.affects_me]].filter(([, body]) => body)
+        : [[null, a.analysis_text || a.description || '']]
+    }));
+
+    const html = `<!DOCTYPE html>
+<html><body style="margin:0;padding:0;background:#f5f5f5;">
+<div style="max-width:640px;margin:0 auto;padding:24px;background:#ffffff;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+  <h1 style="font-size:26px;margin:0 0 4px;text-align:center;">How the News Affects You</h1>
+  <p style="font-size:13px;color:#6b7280;text-align:center;margin:0 0 24px;">${escapeHtml(heading)}</p>
+  ${sections.map(s => `
+  <div style="border-top:1px solid #e5e7eb;padding:18px 0;">
+    <h2 style="font-size:18px;margin:0 0 4px;"><a href="${escapeHtml(s.url)}" style="color:#111827;text-decoration:none;">${escapeHtml(s.title)}</a></h2>
+    <p style="font-size:12px;color:#6b7280;margin:0 0 10px;">${escapeHtml(s.source)}</p>
+    ${s.paragraphs.map(([label, body]) => `
+    ${label ? `<p style="font-size:13px;font-weight:bold;margin:10px 0 4px;">${escapeHtml(label)}</p>` : ''}
+    <p style="font-size:15px;line-height:1.5;margin:0;">${escapeHtml(body)}</p>`).join('')}
+  </div>`).join('')}
+  <p style="border-top:1px solid #e5e7eb;padding-top:18px;font-size:13px;text-align:center;"><a href="${escapeHtml(webUrl)}" style="color:#2563eb;">Read this issue on the web</a></p>
+  <p style="font-size:12px;color:#6b7280;text-align:center;">You're receiving this because ${escapeHtml(email)} subscribed. <a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280;">Unsubscribe</a></p>
+</div>
+</body></html>`;
+
+    const text = [
+      'HOW THE NEWS AFFECTS YOU',
+      heading,
+      ...sections.map(s => [
+        '',
+        '----------------------------------------',
+        s.title,
+        `${s.source} - ${s.url}`,
+        ...s.paragraphs.map(([label, body]) => `\n${label ? `${label}:\n` : ''}${body}`)
+      ].join('\n')),
+      '',
+      '----------------------------------------',
+      `Read this issue on the web: ${webUrl}`,
+      '',
+      `You're receiving this because ${email} subscribed. Unsubscribe: ${unsubscribeUrl}`
+    ].join('\n').trim() + '\n';
+
+    // One-click unsubscribe (RFC 8058) - mail clients POST to the same link
+    const headers = {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+
+    return { subject, html, text, headers };
+  }
+}
+
+// finished - nothing pending or being sent and no failure has attempts left; complete - finished and someone
+// actually got it (or nobody failed, e.g. everyone unsubscribed); undeliverable - finished with
+// every send failing, e.g. a wrong SMTP password, which must never count as sent
+function summarizeDeliveries(rows) {
+  const sent = rows.filter(r => r.status === 'sent').length;
+  const failed = rows.filter(r => r.status === 'failed').length;
+  const retryable = rows.filter(r => r.status === 'failed' && r.attempts < MAX_SEND_ATTEMPTS).length;
+  const pending = rows.filter(r => r.status === 'pending').length;
+  const sending = rows.filter(r => r.status === 'sending').length;
+  const finished = rows.length > 0 && pending === 0 && sending === 0 && retryable === 0;
+  return {
+    total: rows.length,
+    sent,
+    failed,
+    skipped: rows.filter(r => r.status === 'skipped').length,
+    pending,
+    sending,
+    complete: finished && (sent > 0 || failed === 0),
+    undeliverable: finished && sent === 0 && failed > 0
+  };
+}
+
+function isStaleSending(row) {
+  return row.status === 'sending' && Date.now() - new Date(row.updated_at) > STALE_SENDING_MS;
+}
+
+function formatDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export { NewsletterDelivery, DELIVERY_STATUSES, MAX_SEND_ATTEMPTS, summarizeDeliveries };
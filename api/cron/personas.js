@@ -0,0 +1,27 @@
+// api/cron/personas.js - Reader personas for the short per-audience impact notes
+
+const PERSONAS = {
+  renters: 'Renters',
+  homeowners: 'Homeowners',
+  retirees: 'Retirees',
+  'small-business': 'Small-business owners',
+  students: 'Students',
+  veterans: 'Veterans',
+  parents: 'Parents',
+  'hourly-workers': 'Hourly and gig workers'
+};
+
+const PERSONA_IDS = Object.keys(PERSONAS);
+
+// persona_notes is stored as { personaId: note }; clients get a list with the requested persona first
+function orderPersonaNotes(notes, persona) {
+  const list = Object.entries(notes || {})
+    .filter(([id, note]) => PERSONAS[id] && note)
+    .map(([id, note]) => ({ persona: id, label: PERSONAS[id], note }));
+
+  return persona
+    ? [...list.filter(n => n.persona === persona), ...list.filter(n => n.persona !== persona)]
+    : list;
+}
+
+export { PERSONAS, PERSONA_IDS, orderPersonaNotes };
@@ -0,0 +1,38 @@
+// api/cron/public-articles.js - What readers see of an edition: released statuses and the public article shape
+import { orderPersonaNotes } from './personas.js';
+
+// Drafts, editions in review and scheduled editions are not public yet; an edition whose email
+// failed is still on the website
+const RELEASED_STATUSES = ['published', 'sent', 'delivery_failed'];
+
+const ARTICLE_COLUMNS = 'id, title, description, url, image_url, source_name, published_at, analysis_text, ' +
+  'whats_happening, affects_me, persona_notes, article_status, article_order, article_score, topic, also_covered_by';
+
+const hasText = (s) => typeof s === 'string' && s.trim().length > 0;
+
+function formatPublicArticle(a, persona) {
+  const personaNotes = orderPersonaNotes(a.persona_notes, persona);
+
+  return {
+    title: a.title,
+    description: a.description,
+    url: a.url,
+    urlToImage: a.image_url,
+    source: { name: a.source_name || 'Unknown Source' },
+    publishedAt: a.published_at,
+    preGeneratedAnalysis: a.analysis_text,
+    whatsHappening: a.whats_happening || null,
+    affectsMe: a.affects_me || null,
+    personaNotes,
+    personaNote: persona ? personaNotes.find(n => n.persona === persona) || null : null,
+    isAnalyzed: hasText(a.analysis_text),
+    topic: a.topic || 'other',
+    alsoCoveredBy: a.also_covered_by || []
+  };
+}
+
+export {
+  RELEASED_STATUSES,
+  ARTICLE_COLUMNS,
+  formatPublicArticle
+};
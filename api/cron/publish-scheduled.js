@@ -0,0 +1,53 @@
+// api/cron/publish-scheduled.js - Publishes approved editions at their scheduled time and emails them;
+// also retries analyses still pending in draft editions
+import { AutomatedWeeklyPublisher } from './automated-weekly-workflow.js';
+
+export default async function handler(req, res) {
+  // --- CORS HEADERS ---
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Vercel cron invocations are GET requests
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // --- AUTHORIZATION ---
+  const authHeader = req.headers.authorization || '';
+  const expectedSecret = process.env.CRON_SECRET;
+  if (!authHeader.startsWith('Bearer ') || authHeader.slice(7) !== expectedSecret) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const startTime = Date.now();
+  try {
+    const result = await new AutomatedWeeklyPublisher().publishScheduledEditions();
+
+    if (result.published.length || result.delivered.length || result.expired.length || result.filled.length) {
+      console.log(`🗓️ Publish check: published ${result.published.length}, delivered ${result.delivered.length}, delivery expired ${result.expired.length}, drafts filled ${result.filled.length}`);
+    }
+
+    return res.json({
+      success: true,
+      published_issues: result.published,
+      deliveries: result.delivered,
+      delivery_failed_issues: result.expired,
+      drafts: result.filled,
+      duration_seconds: Math.floor((Date.now() - startTime) / 1000),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Publish check failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      duration_seconds: Math.floor((Date.now() - startTime) / 1000),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,206 @@
+// api/cron/scoring-rules.js - Data-driven article scoring (app_settings row 'scoring_rules')
+
+// Rule types:
+//   keyword   - each term found in title + description adds weight
+//   agency    - same as keyword, for agency acronyms (matched as whole words)
+//   source    - weight once if the source name contains any term
+//   freshness - weight if published within maxHours; only the tightest matching window counts
+const SCORING_RULE_TYPES = ['keyword', 'agency', 'source', 'freshness'];
+
+const DEFAULT_SCORING_RULES = [
+  {
+    id: 'policy-actions',
+    label: 'Policy actions',
+    type: 'keyword',
+    weight: 24,
+    terms: [
+      'executive order', 'supreme court', 'house passes', 'congress passes', 'senate votes',
+      'bill signed', 'federal judge', 'federal ruling', 'appeals court', 'rulemaking',
+      'proposed rule', 'final rule', 'regulation', 'white house', 'ballot measure'
+    ]
+  },
+  {
+    id: 'agencies',
+    label: 'Federal agencies',
+    type: 'agency',
+    weight: 16,
+    terms: ['ftc', 'fcc', 'epa', 'hhs', 'cms', 'doj', 'dol', 'irs', 'hud', 'dot', 'doe']
+  },
+  {
+    id: 'civics',
+    label: 'Lawmakers and offices',
+    type: 'keyword',
+    weight: 12,
+    terms: ['congress', 'senate', 'house', 'governor', 'statehouse', 'attorney general']
+  },
+  {
+    id: 'government',
+    label: 'Government and courts',
+    type: 'keyword',
+    weight: 8,
+    terms: ['federal', 'government', 'policy', 'legislation', 'court', 'judge', 'ruling', 'election']
+  },
+  {
+    id: 'policy-areas',
+    label: 'Everyday policy areas',
+    type: 'keyword',
+    weight: 3,
+    terms: ['mayor', 'local', 'state', 'economy', 'health', 'education', 'business']
+  },
+  {
+    id: 'off-topic',
+    label: 'Sports and entertainment',
+    type: 'keyword',
+    weight: -20,
+    terms: ['nba', 'nfl', 'mlb', 'soccer', 'sports', 'celebrity', 'entertainment', 'royal family', 'oscars', 'grammys']
+  },
+  {
+    id: 'crime',
+    label: 'Crime and accidents',
+    type: 'keyword',
+    weight: -5,
+    terms: ['death', 'dies', 'shooting', 'crime']
+  },
+  {
+    id: 'quality-sources',
+    label: 'Quality sources',
+    type: 'source',
+    weight: 10,
+    terms: [
+      'reuters', 'ap', 'ap news', 'politico', 'axios', 'bloomberg', 'washington post',
+      'new york times', 'wall street journal', 'npr', 'the hill', 'propublica',
+      'ft', 'roll call', 'stat'
+    ]
+  },
+  { id: 'fresh-24h', label: 'Published in the last day', type: 'freshness', weight: 18, maxHours: 24 },
+  { id: 'fresh-72h', label: 'Published in the last 3 days', type: 'freshness', weight: 11, maxHours: 72 },
+  { id: 'fresh-week', label: 'Published this week', type: 'freshness', weight: 5, maxHours: 168 }
+];
+
+// Returns { rules, errors } - rules is a cleaned copy safe to store
+function validateScoringRules(input) {
+  const errors = [];
+  const rules = [];
+
+  if (!Array.isArray(input)) {
+    return { rules: [], errors: ['rules must be an array'] };
+  }
+
+  const ids = new Set();
+  input.forEach((raw, i) => {
+    const where = `Rule ${i + 1}${raw?.id ? ` (${raw.id})` : ''}`;
+
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    const id = String(raw.id || '').trim();
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      errors.push(`${where}: id must use lowercase letters, numbers and dashes`);
+      return;
+    }
+    if (ids.has(id)) {
+      errors.push(`${where}: duplicate id`);
+      return;
+    }
+    ids.add(id);
+
+    if (!SCORING_RULE_TYPES.includes(raw.type)) {
+      errors.push(`${where}: type must be one of ${SCORING_RULE_TYPES.join(', ')}`);
+      return;
+    }
+
+    const weight = typeof raw.weight === 'string' ? Number(raw.weight) : raw.weight;
+    if (typeof weight !== 'number' || isNaN(weight) || weight < -100 || weight > 100) {
+      errors.push(`${where}: weight must be a number between -100 and 100`);
+      return;
+    }
+
+    const rule = {
+      id,
+      label: String(raw.label || id).trim(),
+      type: raw.type,
+      weight,
+      enabled: raw.enabled !== false
+    };
+
+    if (raw.type === 'freshness') {
+      const maxHours = typeof raw.maxHours === 'string' ? Number(raw.maxHours) : raw.maxHours;
+      if (!Number.isInteger(maxHours) || maxHours < 1 || maxHours > 720) {
+        errors.push(`${where}: maxHours must be a whole number between 1 and 720`);
+        return;
+      }
+      rule.maxHours = maxHours;
+    } else {
+      const terms = (Array.isArray(raw.terms) ? raw.terms : String(raw.terms || '').split(','))
+        .map(t => String(t).trim().toLowerCase())
+        .filter(Boolean);
+      if (terms.length === 0) {
+        errors.push(`${where}: at least one term is required`);
+        return;
+      }
+      rule.terms = [...new Set(terms)];
+    }
+
+    rules.push(rule);
+  });
+
+  return { rules, errors };
+}
+
+// Returns { score, breakdown } where breakdown lists every rule that fired:
+// [{ rule, label, points, matched }] plus a provider-weight entry when it isn't neutral
+function scoreArticle(article, rules = DEFAULT_SCORING_RULES, now = Date.now()) {
+  const text = `${article.title || ''} ${article.description || ''}`.toLowerCase();
+  const source = (article.source?.name || '').toLowerCase();
+  const hours = article.publishedAt ? (now - new Date(article.publishedAt)) / 3600000 : null;
+
+  const breakdown = [];
+  let total = 0;
+
+  const active = rules.filter(r => r.enabled !== false);
+
+  active.filter(r => r.type === 'keyword' || r.type === 'agency').forEach(rule => {
+    const matched = rule.terms.filter(term => containsTerm(text, term));
+    if (matched.length > 0) {
+      const points = rule.weight * matched.length;
+      total += points;
+      breakdown.push({ rule: rule.id, label: rule.label, points, matched });
+    }
+  });
+
+  active.filter(r => r.type === 'source').forEach(rule => {
+    const matched = rule.terms.filter(term => containsTerm(source, term));
+    if (matched.length > 0) {
+      total += rule.weight;
+      breakdown.push({ rule: rule.id, label: rule.label, points: rule.weight, matched });
+    }
+  });
+
+  if (hours !== null && !isNaN(hours) && hours >= 0) {
+    const fresh = active
+      .filter(r => r.type === 'freshness' && hours < r.maxHours)
+      .sort((a, b) => a.maxHours - b.maxHours)[0];
+    if (fresh) {
+      total += fresh.weight;
+      breakdown.push({ rule: fresh.id, label: fresh.label, points: fresh.weight, matched: [`${Math.round(hours)}h old`] });
+    }
+  }
+
+  // Provider weight from NEWS_PROVIDERS (1 = neutral) scales the whole score
+  const multiplier = article.providerWeight || 1;
+  if (multiplier !== 1) {
+    breakdown.push({ rule: 'provider-weight', label: `Provider ${article.provider || ''}`.trim(), multiplier });
+  }
+
+  return { score: Math.max(0, Math.round(total * multiplier)), breakdown };
+}
+
+// Whole-word match so short terms like "doe" or "ap" don't fire inside other words
+function containsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+}
+
+export { DEFAULT_SCORING_RULES, SCORING_RULE_TYPES, validateScoringRules, scoreArticle, containsTerm };
@@ -0,0 +1,156 @@
+// api/cron/subscribers.js - Newsletter subscribers (double opt-in) and the signed tokens in their email links
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// pending - signed up, confirmation link not clicked yet; active - confirmed, gets the newsletter;
+// unsubscribed - used an unsubscribe link (the row is kept so the address isn't mailed again)
+const SUBSCRIBER_STATUSES = ['pending', 'active', 'unsubscribed'];
+
+// How long each kind of link works; unsubscribe links in old issues must keep working
+const TOKEN_LIFETIMES = {
+  confirm: 7 * 86400000,
+  unsubscribe: null
+};
+
+// A pending address doesn't get another confirmation email sooner than this
+const CONFIRM_RESEND_MS = 10 * 60000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lowercased address, or null if it doesn't look like one
+function normalizeEmail(email) {
+  const value = (email || '').toString().trim().toLowerCase();
+  return value.length <= 254 && EMAIL_PATTERN.test(value) ? value : null;
+}
+
+// SUBSCRIBER_TOKEN_SECRET signs the links; changing it invalidates every link already sent.
+// It has to be its own secret - reusing the admin key would let one leak forge the other.
+function tokenSecret() {
+  const secret = process.env.SUBSCRIBER_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('SUBSCRIBER_TOKEN_SECRET not set');
+  }
+  return secret;
+}
+
+function tokensConfigured() {
+  return !!process.env.SUBSCRIBER_TOKEN_SECRET;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', tokenSecret()).update(payload).digest('base64url');
+}
+
+// "<base64url payload>.<signature>" - the payload carries the email, purpose and issue time
+function signToken(email, purpose, now = Date.now()) {
+  if (!(purpose in TOKEN_LIFETIMES)) {
+    throw new Error(`Unknown token purpose "${purpose}"`);
+  }
+  const payload = Buffer.from(JSON.stringify({ e: email, p: purpose, t: now })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the email the token was issued for, or null if it is forged, expired or for another purpose
+function verifyToken(token, purpose, now = Date.now()) {
+  const [payload, signature] = (token || '').toString().split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const { e, p, t } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (p !== purpose) return null;
+    const lifetime = TOKEN_LIFETIMES[purpose];
+    if (lifetime && now - t > lifetime) return null;
+    return normalizeEmail(e);
+  } catch (error) {
+    return null;
+  }
+}
+
+function subscriberLink(siteUrl, action, email) {
+  return `${siteUrl}/api/subscribe?action=${action}&token=${encodeURIComponent(signToken(email, action))}`;
+}
+
+// Returns { subscriber, sendConfirmation } - confirmation is skipped for active subscribers and
+// for pending ones that were sent a link in the last CONFIRM_RESEND_MS
+async function addSubscriber(email, source = 'website') {
+  const { data: existing, error } = await supabase
+    .from('subscribers')
+    .select('*')
+    .eq('email', email)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (existing?.status === 'active') {
+    return { subscriber: existing, sendConfirmation: false };
+  }
+  if (existing?.status === 'pending' && existing.confirm_sent_at &&
+      Date.now() - new Date(existing.confirm_sent_at).getTime() < CONFIRM_RESEND_MS) {
+    return { subscriber: existing, sendConfirmation: false };
+  }
+
+  const now = new Date().toISOString();
+  const { data: subscriber, error: upsertError } = await supabase
+    .from('subscribers')
+    .upsert({
+      email,
+      status: 'pending',
+      source: existing?.source || source,
+      subscribed_at: now,
+      confirm_sent_at: now,
+      confirmed_at: null,
+      unsubscribed_at: null,
+      updated_at: now
+    }, { onConflict: 'email' })
+    .select()
+    .single();
+  if (upsertError) throw upsertError;
+
+  return { subscriber, sendConfirmation: true };
+}
+
+// fromStatuses limits the change, e.g. a confirm link only activates a pending subscriber and
+// can't bring back someone who has since unsubscribed. Returns null if no row changed.
+async function setSubscriberStatus(email, status, fromStatuses = SUBSCRIBER_STATUSES) {
+  const now = new Date().toISOString();
+  const fields = { status, updated_at: now };
+  if (status === 'active') fields.confirmed_at = now;
+  if (status === 'unsubscribed') fields.unsubscribed_at = now;
+
+  const { data, error } = await supabase
+    .from('subscribers')
+    .update(fields)
+    .eq('email', email)
+    .in('status', fromStatuses)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function listActiveEmails() {
+  const { data, error } = await supabase
+    .from('subscribers')
+    .select('email')
+    .eq('status', 'active')
+    .order('email', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(s => s.email);
+}
+
+export {
+  SUBSCRIBER_STATUSES,
+  normalizeEmail,
+  tokensConfigured,
+  signToken,
+  verifyToken,
+  subscriberLink,
+  addSubscriber,
+  setSubscriberStatus,
+  listActiveEmails
+};
@@ -0,0 +1,93 @@
+// api/cron/topics.js - Policy topic taxonomy and keyword classification of candidates
+import { containsTerm } from './scoring-rules.js';
+
+// Order matters for ties: earlier topics win
+const TOPIC_TAXONOMY = {
+  health: {
+    label: 'Health',
+    terms: ['health', 'medicare', 'medicaid', 'affordable care act', 'obamacare', 'hospital', 'drug prices',
+      'prescription', 'vaccine', 'fda', 'cdc', 'hhs', 'cms', 'insurance premiums', 'abortion', 'mental health']
+  },
+  taxes: {
+    label: 'Taxes',
+    terms: ['tax', 'taxes', 'irs', 'tax credit', 'tax cut', 'tariff', 'tariffs', 'deduction', 'refund', 'budget bill']
+  },
+  housing: {
+    label: 'Housing',
+    terms: ['housing', 'rent', 'renters', 'mortgage', 'eviction', 'hud', 'homeless', 'zoning', 'home prices', 'landlord']
+  },
+  labor: {
+    label: 'Jobs & Labor',
+    terms: ['minimum wage', 'wages', 'union', 'workers', 'overtime', 'unemployment', 'jobs report', 'layoffs',
+      'strike', 'dol', 'labor department', 'nlrb', 'social security']
+  },
+  education: {
+    label: 'Education',
+    terms: ['education', 'school', 'schools', 'student loan', 'student loans', 'college', 'university',
+      'teachers', 'tuition', 'department of education']
+  },
+  energy: {
+    label: 'Energy & Environment',
+    terms: ['energy', 'climate', 'epa', 'emissions', 'oil', 'gas prices', 'electricity', 'solar', 'wind power',
+      'pipeline', 'drilling', 'pollution', 'doe', 'clean water']
+  },
+  immigration: {
+    label: 'Immigration',
+    terms: ['immigration', 'immigrants', 'border', 'asylum', 'deportation', 'visa', 'ice', 'migrants',
+      'citizenship', 'daca', 'refugees']
+  },
+  courts: {
+    label: 'Courts & Justice',
+    terms: ['supreme court', 'federal judge', 'appeals court', 'ruling', 'lawsuit', 'doj', 'justice department',
+      'attorney general', 'indictment', 'police']
+  },
+  economy: {
+    label: 'Economy & Consumers',
+    terms: ['inflation', 'interest rates', 'federal reserve', 'prices', 'consumers', 'ftc', 'banks', 'credit card',
+      'recession', 'cfpb', 'antitrust']
+  },
+  technology: {
+    label: 'Technology',
+    terms: ['artificial intelligence', 'ai', 'privacy', 'social media', 'fcc', 'broadband', 'data breach', 'tiktok', 'internet']
+  },
+  transportation: {
+    label: 'Transportation',
+    terms: ['transportation', 'transit', 'highway', 'airline', 'airlines', 'faa', 'dot', 'railroad', 'electric vehicles']
+  },
+  elections: {
+    label: 'Elections & Voting',
+    terms: ['election', 'voters', 'voting', 'ballot', 'ballot measure', 'redistricting', 'campaign', 'primary']
+  },
+  defense: {
+    label: 'Defense & Foreign Policy',
+    terms: ['military', 'pentagon', 'troops', 'veterans', 'sanctions', 'nato', 'foreign aid', 'war']
+  }
+};
+
+const TOPIC_IDS = [...Object.keys(TOPIC_TAXONOMY), 'other'];
+
+// Title matches count double - headlines say what the story is about, descriptions wander
+function classifyTopic(article) {
+  const title = (article.title || '').toLowerCase();
+  const description = (article.description || '').toLowerCase();
+
+  let best = 'other';
+  let bestScore = 0;
+
+  Object.entries(TOPIC_TAXONOMY).forEach(([id, topic]) => {
+    const score = topic.terms.reduce((sum, term) =>
+      sum + (containsTerm(title, term) ? 2 : 0) + (containsTerm(description, term) ? 1 : 0), 0);
+    if (score > bestScore) {
+      best = id;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+function topicLabel(id) {
+  return TOPIC_TAXONOMY[id]?.label || 'Other';
+}
+
+export { TOPIC_TAXONOMY, TOPIC_IDS, classifyTopic, topicLabel };
@@ -0,0 +1,22 @@
+// api/cron/week-dates.js - Edition weeks: Monday-to-Sunday in UTC, as YYYY-MM-DD strings
+
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().split('T')[0];
+}
+
+// Monday (UTC) of the week containing a YYYY-MM-DD date, or null if it isn't one
+function weekStartOf(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return null;
+  const day = new Date(`${date}T00:00:00Z`);
+  if (isNaN(day)) return null;
+  return addDays(date, -((day.getUTCDay() + 6) % 7));
+}
+
+// Monday (UTC) of the current week
+function getWeekStart() {
+  return weekStartOf(new Date().toISOString().split('T')[0]);
+}
+
+export { addDays, weekStartOf, getWeekStart };
@@ -0,0 +1,121 @@
+// api/cron/workflow-fixtures.js - Record/replay of external calls made by the weekly workflow
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// mode: 'live' (default, pass-through), 'record' (call out and save), 'replay' (read saved only)
+export class WorkflowFixtures {
+  constructor({ mode, dir } = {}) {
+    this.mode = mode || 'live';
+    this.dir = dir || process.env.WORKFLOW_FIXTURE_DIR || path.join('/tmp', 'hdta-fixtures', new Date().toISOString().split('T')[0]);
+    this.counters = {};
+
+    if (!['live', 'record', 'replay'].includes(this.mode)) {
+      throw new Error(`Invalid fixture mode "${this.mode}" - use live, record or replay`);
+    }
+  }
+
+  get isReplay() {
+    return this.mode === 'replay';
+  }
+
+  get isRecord() {
+    return this.mode === 'record';
+  }
+
+  // Fixture names are label + hash of a stable key (not the URL - date params change
+  // every run) + a per-key call counter so retries replay in order
+  fixtureName(label, key) {
+    const hash = createHash('sha1').update(String(key)).digest('hex').substring(0, 12);
+    const base = `${label}-${hash}`;
+    const n = this.counters[base] || 0;
+    this.counters[base] = n + 1;
+    return `${base}-${n}.json`;
+  }
+
+  // Drop-in for fetch(): returns a Response in every mode
+  async fetch(label, key, url, options = {}) {
+    if (this.mode === 'live') {
+      return fetch(url, options);
+    }
+
+    const name = this.fixtureName(label, key);
+
+    if (this.isReplay) {
+      const fixture = await this.read(name);
+      return new Response(fixture.body, {
+        status: fixture.status,
+        statusText: fixture.statusText,
+        headers: fixture.headers
+      });
+    }
+
+    const response = await fetch(url, options);
+    const body = await response.text();
+    // location is kept so manually followed redirects replay hop by hop
+    const headers = {};
+    ['content-type', 'location'].forEach(h => {
+      if (response.headers.get(h)) headers[h] = response.headers.get(h);
+    });
+
+    await this.write(name, {
+      label,
+      key: String(key),
+      request: { method: options.method || 'GET', url: redactUrl(url) },
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body,
+      recordedAt: new Date().toISOString()
+    });
+
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    });
+  }
+
+  // Non-HTTP inputs (e.g. trend context read from Supabase)
+  async value(label, key, produce) {
+    if (this.mode === 'live') {
+      return produce();
+    }
+
+    const name = this.fixtureName(label, key);
+
+    if (this.isReplay) {
+      return (await this.read(name)).value;
+    }
+
+    const value = await produce();
+    await this.write(name, { label, key: String(key), value, recordedAt: new Date().toISOString() });
+    return value;
+  }
+
+  async read(name) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+    } catch (error) {
+      throw new Error(`No recorded fixture ${name} in ${this.dir} (${error.code || error.message})`);
+    }
+  }
+
+  async write(name, data) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, name), JSON.stringify(data, null, 2));
+  }
+}
+
+// Never write API keys into fixture files
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    ['token', 'apikey', 'apiKey', 'api_key', 'key'].forEach(p => {
+      if (u.searchParams.has(p)) u.searchParams.set(p, 'REDACTED');
+    });
+    return u.toString();
+  } catch {
+    return url;
+  }
+}
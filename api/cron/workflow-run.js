@@ -0,0 +1,103 @@
+// api/cron/workflow-run.js - One workflow_runs row per workflow execution (admin Runs tab)
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// cron - Vercel schedule; manual - /api/manual-trigger; admin - Regenerate button; script - CLI
+const RUN_TRIGGERS = ['cron', 'manual', 'admin', 'script'];
+
+// Rejections kept per run; a bad prompt can reject every attempt of every article
+const MAX_REJECTIONS = 50;
+
+// The row is inserted when the run starts and updated after every stage, so a run that
+// dies halfway still shows the stages it finished and stays 'running'.
+class WorkflowRun {
+  constructor({ trigger = 'script', dryRun = false } = {}) {
+    this.id = null;
+    this.dryRun = dryRun;
+    this.startedAt = Date.now();
+    this.lastMark = this.startedAt;
+    this.record = {
+      trigger: RUN_TRIGGERS.includes(trigger) ? trigger : 'script',
+      status: 'running',
+      week_start_date: null,
+      edition_id: null,
+      resumed_from: null,
+      model: null,
+      providers: {},   // { newsapi: 42, feeds: 0 } - articles returned per provider
+      stages: [],      // [{ stage, ms, ...details }] in the order they completed
+      counts: {},      // fetched, selected, analyzed, pending, failed, published
+      calls: {},       // external calls by label: provider, page, model
+      rejections: [],  // [{ title, attempt, reason }] analyses that failed quality checks
+      error: null
+    };
+  }
+
+  async start(fields = {}) {
+    Object.assign(this.record, fields);
+    if (this.dryRun) return;
+
+    try {
+      const { data, error } = await supabase
+        .from('workflow_runs')
+        .insert({ ...this.record, started_at: new Date(this.startedAt).toISOString() })
+        .select('id')
+        .single();
+      if (error) throw error;
+      this.id = data.id;
+      console.log(`🗂️ Workflow run ${this.id} (${this.record.trigger})`);
+    } catch (error) {
+      console.warn('⚠️ Failed to create workflow run record:', error.message);
+    }
+  }
+
+  set(fields) {
+    Object.assign(this.record, fields);
+  }
+
+  // Time since the previous stage (or the start) finished
+  async stage(name, details = {}) {
+    const now = Date.now();
+    this.record.stages.push({ stage: name, ms: now - this.lastMark, ...details });
+    this.lastMark = now;
+    await this.save();
+  }
+
+  count(counts) {
+    Object.assign(this.record.counts, counts);
+  }
+
+  call(label) {
+    this.record.calls[label] = (this.record.calls[label] || 0) + 1;
+  }
+
+  reject(article, attempt, reason) {
+    if (this.record.rejections.length >= MAX_REJECTIONS) return;
+    this.record.rejections.push({ title: (article.title || '').substring(0, 120), attempt, reason });
+  }
+
+  async finish(error = null) {
+    this.record.status = error ? 'failed' : 'succeeded';
+    this.record.error = error ? error.message : null;
+    await this.save({
+      finished_at: new Date().toISOString(),
+      duration_ms: Date.now() - this.startedAt
+    });
+  }
+
+  // Recording never fails the workflow itself
+  async save(extra = {}) {
+    if (this.dryRun || !this.id) return;
+
+    const { error } = await supabase
+      .from('workflow_runs')
+      .update({ ...this.record, ...extra })
+      .eq('id', this.id);
+
+    if (error) {
+      console.warn(`⚠️ Failed to update workflow run ${this.id}:`, error.message);
+    }
+  }
+}
+
+export { WorkflowRun, RUN_TRIGGERS };
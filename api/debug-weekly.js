@@ -1,5 +1,6 @@
 // api/debug-weekly.js - Diagnostic tool to check database state
 import { createClient } from '@supabase/supabase-js';
+import { RELEASED_STATUSES } from './cron/public-articles.js';
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
@@ -144,7 +145,7 @@ async function simulateFetchNewsQuery(thisWeek) {
       const { data: latestEdition, error: latestErr } = await supabase
         .from('weekly_editions')
         .select('id, issue_number, status, week_start_date, week_end_date, featured_headline')
-        .in('status', ['published', 'sent'])
+        .in('status', RELEASED_STATUSES)
         .order('week_start_date', { ascending: false })
         .limit(1)
         .single();
@@ -0,0 +1,331 @@
+// api/extract-content.js - Fetch a URL and extract readable article content
+import { promises as dns } from 'dns';
+import net from 'net';
+
+const MAX_HTML_BYTES = 3 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+export default async function handler(req, res) {
+  setCorsHeaders(res);
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  // Same admin key as /api/admin - this endpoint fetches arbitrary URLs
+  const authHeader = req.headers.authorization;
+  const adminKey = process.env.ADMIN_KEY || 'hdta-admin-2025-temp';
+
+  if (!authHeader || authHeader !== `Bearer ${adminKey}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized - Invalid admin key' });
+  }
+
+  const { url } = req.body || {};
+
+  if (!url || typeof url !== 'string') {
+    return res.status(400).json({ success: false, error: 'url is required' });
+  }
+
+  try {
+    console.log(`📄 Extracting content from ${url}`);
+    const content = await extractArticleContent(url);
+
+    if (!content.content) {
+      return res.status(422).json({ success: false, error: 'No article text found on page', content });
+    }
+
+    console.log(`✅ Extracted ${content.wordCount} words from ${content.siteName || url}`);
+    return res.json({ success: true, content });
+  } catch (error) {
+    console.error('❌ Content extraction failed:', error.message);
+    const status = error.message.startsWith('Invalid URL') || error.message.startsWith('Blocked URL') ? 400 : 502;
+    return res.status(status).json({ success: false, error: error.message });
+  }
+}
+
+// Fetch a page and return { url, title, byline, publishedAt, image, siteName, excerpt, content, wordCount }
+// Redirects are followed by hand so every hop gets the same private-address check as the first URL.
+// checkDns: false skips resolving hostnames (fixture replays, which never touch the network).
+export async function extractArticleContent(url, { timeoutMs = 10000, fetchImpl = fetch, checkDns = true } = {}) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let target = validateUrl(url);
+  let response;
+
+  for (let redirects = 0; ; redirects++) {
+    if (checkDns) await assertPublicHost(target);
+
+    response = await fetchImpl(target.toString(), {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; HDTA-Extractor/1.0)',
+        Accept: 'text/html,application/xhtml+xml'
+      },
+      redirect: 'manual',
+      signal
+    });
+
+    const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+    if (!location) break;
+
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`Page fetch failed: more than ${MAX_REDIRECTS} redirects`);
+    }
+    await response.body?.cancel();
+    target = validateUrl(resolveUrl(location, target));
+  }
+
+  if (!response.ok) {
+    throw new Error(`Page fetch failed: HTTP ${response.status} ${response.statusText}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType && !/html|xml/i.test(contentType)) {
+    throw new Error(`Unsupported content type: ${contentType}`);
+  }
+
+  const html = await readLimited(response, MAX_HTML_BYTES);
+  return extractFromHtml(html, target.toString());
+}
+
+// Reads at most maxBytes of the body and cancels the rest of the download
+async function readLimited(response, maxBytes) {
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  while (size < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  if (size >= maxBytes) {
+    await reader.cancel();
+  }
+
+  return new TextDecoder().decode(Buffer.concat(chunks).subarray(0, maxBytes));
+}
+
+export function extractFromHtml(html, url) {
+  const ld = findJsonLdArticle(html);
+
+  const title = ldText(ld?.headline) ||
+    getMeta(html, 'og:title') ||
+    getMeta(html, 'twitter:title') ||
+    textOf((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1]) ||
+    textOf((html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i) || [])[1]);
+
+  const byline = ldAuthor(ld) ||
+    getMeta(html, 'author') ||
+    getMeta(html, 'article:author') ||
+    textOf((html.match(/<[^>]+class=["'][^"']*\bbyline\b[^"']*["'][^>]*>([\s\S]*?)<\/[a-z]+>/i) || [])[1]) ||
+    textOf((html.match(/<a[^>]+rel=["']author["'][^>]*>([\s\S]*?)<\/a>/i) || [])[1]);
+
+  const rawDate = ldText(ld?.datePublished) ||
+    getMeta(html, 'article:published_time') ||
+    getMeta(html, 'date') ||
+    getMeta(html, 'pubdate') ||
+    (html.match(/<time[^>]+datetime=["']([^"']+)["']/i) || [])[1];
+  const parsedDate = rawDate ? new Date(rawDate) : null;
+
+  const image = ldImage(ld) || getMeta(html, 'og:image') || getMeta(html, 'twitter:image');
+  const siteName = getMeta(html, 'og:site_name') || safeHostname(url);
+
+  const articleBody = ldText(ld?.articleBody);
+  const paragraphs = articleBody
+    ? articleBody.split(/\n+/).map(p => p.trim()).filter(Boolean)
+    : extractParagraphs(html);
+  const content = paragraphs.join('\n\n');
+
+  const excerpt = getMeta(html, 'og:description') ||
+    getMeta(html, 'description') ||
+    (paragraphs[0] || '').substring(0, 400);
+
+  return {
+    url,
+    title: (title || '').trim(),
+    byline: (byline || '').replace(/^by\s+/i, '').trim(),
+    publishedAt: parsedDate && !isNaN(parsedDate) ? parsedDate.toISOString() : null,
+    image: image ? resolveUrl(image, url) : null,
+    siteName,
+    excerpt: (excerpt || '').trim(),
+    content,
+    wordCount: content.split(/\s+/).filter(Boolean).length
+  };
+}
+
+// Readability-style body extraction: strip page chrome, pick the main container, keep real paragraphs
+function extractParagraphs(html) {
+  let body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|svg|iframe|form|nav|header|footer|aside|figure|button)\b[\s\S]*?<\/\1>/gi, '');
+
+  const containers = body.match(/<article\b[\s\S]*?<\/article>/gi) ||
+    body.match(/<main\b[\s\S]*?<\/main>/gi) ||
+    [body];
+  body = containers.sort((a, b) => countParagraphText(b) - countParagraphText(a))[0];
+
+  const boilerplate = /(subscribe|sign up|newsletter|cookie|all rights reserved|advertisement|click here|follow us)/i;
+
+  return (body.match(/<p\b[^>]*>[\s\S]*?<\/p>/gi) || [])
+    .map(p => textOf(p))
+    .filter(p => p.length >= 40 && !boilerplate.test(p));
+}
+
+function countParagraphText(html) {
+  return (html.match(/<p\b[^>]*>[\s\S]*?<\/p>/gi) || [])
+    .reduce((sum, p) => sum + textOf(p).length, 0);
+}
+
+function findJsonLdArticle(html) {
+  const blocks = html.match(/<script[^>]+type=["']application\/ld\+json["'][^>]*>[\s\S]*?<\/script>/gi) || [];
+
+  for (const block of blocks) {
+    try {
+      const json = JSON.parse(block.replace(/^<script[^>]*>/i, '').replace(/<\/script>$/i, '').trim());
+      const nodes = [].concat(json, json['@graph'] || []).flat();
+      const article = nodes.find(n => n && /Article|Posting|Report/.test([].concat(n['@type'] || []).join(' ')));
+      if (article) return article;
+    } catch {
+      // Ignore malformed JSON-LD - fall back to meta tags
+    }
+  }
+  return null;
+}
+
+// JSON-LD is whatever the page says: a headline can be an array or an object, so anything
+// that isn't a string is ignored
+function ldText(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+function ldAuthor(ld) {
+  if (!ld?.author) return '';
+  return [].concat(ld.author)
+    .map(a => ldText(typeof a === 'string' ? a : a?.name))
+    .filter(Boolean)
+    .join(', ');
+}
+
+function ldImage(ld) {
+  if (!ld?.image) return '';
+  const image = [].concat(ld.image)[0];
+  return typeof image === 'string' ? image : ldText(image?.url);
+}
+
+function getMeta(html, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\:]/g, '\\$&');
+  const tag = html.match(new RegExp(`<meta[^>]+(?:property|name|itemprop)=["']${escaped}["'][^>]*>`, 'i'));
+  if (!tag) return '';
+  const content = tag[0].match(/\scontent=["']([^"']*)["']/i);
+  return content ? decodeEntities(content[1]).trim() : '';
+}
+
+function textOf(fragment) {
+  if (!fragment) return '';
+  return decodeEntities(fragment.replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Also used by the workflow's feed parser
+export function decodeEntities(s) {
+  return (s || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => fromCodePoint(parseInt(n, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => fromCodePoint(parseInt(n, 16)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+// A numeric entity past U+10FFFF would make String.fromCodePoint throw; it becomes U+FFFD
+function fromCodePoint(code) {
+  return code <= 0x10FFFF ? String.fromCodePoint(code) : '\uFFFD';
+}
+
+function validateUrl(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw new Error(`Invalid URL: only http and https are supported`);
+  }
+
+  // Don't let the extractor be pointed at internal services
+  const host = target.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') ||
+      host.endsWith('.internal') || isPrivateAddress(host)) {
+    throw new Error(`Blocked URL: ${target.hostname} is a private address`);
+  }
+
+  return target;
+}
+
+// A public-looking hostname can still resolve to an internal address
+async function assertPublicHost(target) {
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`Page fetch failed: cannot resolve ${host} (${error.code || error.message})`);
+  }
+
+  const blocked = addresses.find(a => isPrivateAddress(a.address));
+  if (blocked) {
+    throw new Error(`Blocked URL: ${host} resolves to private address ${blocked.address}`);
+  }
+}
+
+function isPrivateAddress(address) {
+  const host = address.toLowerCase();
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1, which URL normalizes to ::ffff:7f00:1) is checked as the IPv4 address
+  const mapped = host.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const mappedHex = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map(h => parseInt(h, 16));
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+
+  return host === '::' ||
+    host === '::1' ||
+    /^(0|10|127)\./.test(host) ||
+    /^169\.254\./.test(host) ||
+    /^192\.168\./.test(host) ||
+    /^172\.(1[6-9]|2\d|3[01])\./.test(host) ||
+    /^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\./.test(host) ||
+    /^f[cd][0-9a-f]{2}:/.test(host) ||
+    /^fe[89ab][0-9a-f]:/.test(host);
+}
+
+function resolveUrl(value, base) {
+  try {
+    return new URL(value, base).toString();
+  } catch {
+    return value;
+  }
+}
+
+function safeHostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
@@ -1,5 +1,7 @@
 // api/fetch-news.js - FIXED for weekly operations (PostgREST embedding issue resolved)
 import { createClient } from '@supabase/supabase-js';
+import { PERSONA_IDS } from './cron/personas.js';
+import { RELEASED_STATUSES, ARTICLE_COLUMNS, formatPublicArticle } from './cron/public-articles.js';
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
@@ -43,6 +45,9 @@ export default async function handler(req, res) {
 
   const thisWeek = getWeekStart();
 
+  // ?persona=renters puts that audience's note first (unknown personas are ignored)
+  const persona = PERSONA_IDS.includes(req.query?.persona) ? req.query.persona : null;
+
   try {
     // Check if Supabase is configured
     if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
@@ -52,13 +57,14 @@ export default async function handler(req, res) {
 
     // Helper functions for safe filtering
     const isPublished = (s) => (s || '').toString().trim().toLowerCase() === 'published';
-    const hasText = (s) => typeof s === 'string' && s.trim().length > 0;
 
-    // STEP 1: Get this week's edition (FIXED - removed PostgREST embedding)
+    // STEP 1: Get this week's edition once it is released - drafts, editions in review and
+    // scheduled editions are not public yet
     let { data: edition, error: edErr } = await supabase
       .from('weekly_editions')
       .select('id, issue_number, status, week_start_date, week_end_date, featured_headline')
       .eq('week_start_date', thisWeek)
+      .in('status', RELEASED_STATUSES)
       .single();
 
     console.log('📊 This week\'s edition query:', { found: !!edition, error: edErr?.message });
@@ -70,7 +76,7 @@ export default async function handler(req, res) {
       const { data: latestEdition, error: latestErr } = await supabase
         .from('weekly_editions')
         .select('id, issue_number, status, week_start_date, week_end_date, featured_headline')
-        .in('status', ['published', 'sent'])
+        .in('status', RELEASED_STATUSES)
         .order('week_start_date', { ascending: false })
         .limit(1)
         .single();
@@ -89,7 +95,7 @@ export default async function handler(req, res) {
     // STEP 3: Get articles for this edition from database (separate query - no embedding)
     const { data: rows, error: artErr } = await supabase
       .from('analyzed_articles')
-      .select('id, title, description, url, image_url, source_name, published_at, analysis_text, article_status, article_order, article_score')
+      .select(ARTICLE_COLUMNS)
       .eq('edition_id', edition.id)
       .order('article_order', { ascending: true });
 
@@ -109,16 +115,7 @@ export default async function handler(req, res) {
     const publishedArticles = (rows || [])
       .filter(a => isPublished(a.article_status))
       .slice(0, 10) // Limit to 10 for weekly
-      .map(a => ({
-        title: a.title,
-        description: a.description,
-        url: a.url,
-        urlToImage: a.image_url,
-        source: { name: a.source_name || 'Unknown Source' },
-        publishedAt: a.published_at,
-        preGeneratedAnalysis: a.analysis_text,
-        isAnalyzed: hasText(a.analysis_text)
-      }));
+      .map(a => formatPublicArticle(a, persona));
 
     console.log(`✅ Returning ${publishedArticles.length} published weekly articles from database`);
     console.log(`📊 Total articles in weekly edition: ${rows.length}, Published: ${publishedArticles.length}`);
@@ -130,7 +127,7 @@ export default async function handler(req, res) {
       const { data: latestEdition, error: latestErr } = await supabase
         .from('weekly_editions')
         .select('id, issue_number, status, week_start_date, week_end_date, featured_headline')
-        .in('status', ['published', 'sent'])
+        .in('status', RELEASED_STATUSES)
         .order('week_start_date', { ascending: false })
         .limit(1)
         .single();
@@ -138,23 +135,14 @@ export default async function handler(req, res) {
       if (!latestErr && latestEdition) {
         const { data: rows2, error: artErr2 } = await supabase
           .from('analyzed_articles')
-          .select('id, title, description, url, image_url, source_name, published_at, analysis_text, article_status, article_order')
+          .select(ARTICLE_COLUMNS)
           .eq('edition_id', latestEdition.id)
           .order('article_order', { ascending: true });
 
         const fallback = (rows2 || [])
           .filter(a => isPublished(a.article_status))
           .slice(0, 10)
-          .map(a => ({
-            title: a.title,
-            description: a.description,
-            url: a.url,
-            urlToImage: a.image_url,
-            source: { name: a.source_name || 'Unknown Source' },
-            publishedAt: a.published_at,
-            preGeneratedAnalysis: a.analysis_text,
-            isAnalyzed: hasText(a.analysis_text)
-          }));
+          .map(a => formatPublicArticle(a, persona));
 
         if (fallback.length) {
           console.log(`🔄 Using fallback weekly edition: ${latestEdition.week_start_date} to ${latestEdition.week_end_date} with ${fallback.length} articles`);
@@ -1,5 +1,7 @@
 // api/manual-trigger.js - FIXED for weekly operations
 import { runAutomatedWeeklyWorkflow } from './cron/automated-weekly-workflow.js';
+import { ModelClient } from './cron/model-client.js';
+import { PROTECTED_STATUSES, deleteEdition } from './cron/edition-cleanup.js';
 import { createClient } from '@supabase/supabase-js';
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
@@ -67,7 +69,8 @@ export default async function handler(req, res) {
       hasSupabase: !!(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY),
       hasNewsAPI: !!process.env.NEWS_API_KEY,
       hasGNews: !!process.env.GNEWS_API_KEY,
-      hasOpenAI: !!process.env.OPENAI_API_KEY
+      hasFeeds: !!process.env.NEWS_FEED_URLS,
+      hasModel: ModelClient.fromEnv().isConfigured
     };
     
     console.log('🔍 Environment check:', envCheck);
@@ -79,10 +82,10 @@ export default async function handler(req, res) {
       });
     }
 
-    if (!envCheck.hasNewsAPI && !envCheck.hasGNews) {
+    if (!envCheck.hasNewsAPI && !envCheck.hasGNews && !envCheck.hasFeeds) {
       return res.status(500).json({
         success: false,
-        error: 'News API not configured - missing NEWS_API_KEY or GNEWS_API_KEY'
+        error: 'News API not configured - missing NEWS_API_KEY, GNEWS_API_KEY or NEWS_FEED_URLS'
       });
     }
 
@@ -118,6 +121,14 @@ export default async function handler(req, res) {
       }
     }
 
+    if (existingEdition && (force_refetch || existingArticlesCount === 0) && PROTECTED_STATUSES.includes(existingEdition.status)) {
+      console.warn(`⛔ Refusing to delete ${existingEdition.status} edition #${existingEdition.issue_number}`);
+      return res.status(409).json({
+        success: false,
+        error: `Edition #${existingEdition.issue_number} is ${existingEdition.status} - it can't be deleted and refetched`
+      });
+    }
+
     let edition;
     let action = 'created';
 
@@ -125,10 +136,10 @@ export default async function handler(req, res) {
     if (existingEdition && force_refetch) {
       // Force refetch requested - delete and recreate regardless of article count
       console.log('🔄 Force refetch requested - deleting existing weekly edition');
-      await supabase.from('analyzed_articles').delete().eq('edition_id', existingEdition.id);
-      await supabase.from('weekly_editions').delete().eq('id', existingEdition.id);
+      await deleteEdition(existingEdition.id);
       
-      edition = await runAutomatedWeeklyWorkflow();
+      // fresh: refetch from the providers instead of resuming this week's checkpoint
+      edition = await runAutomatedWeeklyWorkflow({ fresh: true, trigger: 'manual' });
       action = 'refetched';
       
     } else if (existingEdition && existingArticlesCount > 0) {
@@ -142,15 +153,15 @@ export default async function handler(req, res) {
     } else if (existingEdition && existingArticlesCount === 0) {
       // Edition exists but has no articles - delete it first, then create new one
       console.log('📝 Found existing weekly edition with no articles - will recreate');
-      await supabase.from('weekly_editions').delete().eq('id', existingEdition.id);
+      await deleteEdition(existingEdition.id);
       
-      edition = await runAutomatedWeeklyWorkflow();
+      edition = await runAutomatedWeeklyWorkflow({ trigger: 'manual' });
       action = 'recreated';
       
     } else {
       // No existing edition - create new one
       console.log('📝 Creating new weekly edition with fresh articles');
-      edition = await runAutomatedWeeklyWorkflow();
+      edition = await runAutomatedWeeklyWorkflow({ trigger: 'manual' });
       action = 'created';
     }
     
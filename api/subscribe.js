@@ -0,0 +1,164 @@
+// api/subscribe.js - Public newsletter signup, confirm and unsubscribe (double opt-in, signed links)
+import {
+  normalizeEmail,
+  tokensConfigured,
+  verifyToken,
+  addSubscriber,
+  setSubscriberStatus
+} from './cron/subscribers.js';
+import { NewsletterDelivery } from './cron/newsletter-delivery.js';
+
+// CORS headers
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With');
+  res.setHeader('Cache-Control', 'no-store');
+}
+
+// POST {email}                     - sign up; sends the confirmation email
+// GET  ?action=confirm&token=      - confirmation link; shows a page with a Confirm button
+// GET  ?action=unsubscribe&token=  - unsubscribe link in every issue; shows a page with an Unsubscribe button
+// POST ?action=confirm|unsubscribe - the page's button; redirects to /?subscription=confirmed|unsubscribed
+// POST ?action=unsubscribe&token=  - one-click unsubscribe from the mail client (List-Unsubscribe-Post)
+//
+// Links never change anything on GET: mail security scanners open every link in a message, which
+// would otherwise confirm signups nobody asked for and unsubscribe readers without their knowing.
+export default async function handler(req, res) {
+  setCorsHeaders(res);
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const action = req.query?.action || 'subscribe';
+
+  try {
+    switch (action) {
+      case 'subscribe':
+        if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+        return await subscribe(req, res);
+      case 'confirm':
+        return await confirm(req, res);
+      case 'unsubscribe':
+        return await unsubscribe(req, res);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    console.error('❌ Subscribe API error:', error);
+    return res.status(500).json({ error: 'Subscription failed: ' + error.message });
+  }
+}
+
+async function subscribe(req, res) {
+  const email = normalizeEmail(req.body?.email);
+  if (!email) {
+    return res.status(400).json({ error: 'Please enter a valid email address' });
+  }
+
+  const delivery = new NewsletterDelivery();
+  if (!delivery.isConfigured || !delivery.siteUrl || !tokensConfigured()) {
+    return res.status(503).json({ error: 'Newsletter signup is not available right now' });
+  }
+
+  const { subscriber, sendConfirmation } = await addSubscriber(email, 'website');
+  if (sendConfirmation) {
+    await delivery.sendConfirmation(email);
+    console.log(`📬 Confirmation sent to new subscriber ${subscriber.id}`);
+  }
+
+  // The same answer whether or not the address was already subscribed
+  return res.json({
+    success: true,
+    message: 'Check your inbox for a link to confirm your subscription.'
+  });
+}
+
+const LINK_PAGES = {
+  confirm: {
+    title: 'Confirm your subscription',
+    text: email => `Confirm that ${email} should get How the News Affects You every week.`,
+    button: 'Confirm subscription'
+  },
+  unsubscribe: {
+    title: 'Unsubscribe',
+    text: email => `Stop sending How the News Affects You to ${email}?`,
+    button: 'Unsubscribe'
+  }
+};
+
+async function confirm(req, res) {
+  const email = verifyToken(req.query.token, 'confirm');
+  if (!email) {
+    return res.redirect(302, '/?subscription=invalid');
+  }
+  if (req.method !== 'POST') {
+    return sendLinkPage(res, 'confirm', email, req.query.token);
+  }
+
+  const subscriber = await setSubscriberStatus(email, 'active', ['pending']);
+  if (subscriber) {
+    console.log(`✅ Subscriber ${subscriber.id} confirmed`);
+  }
+  // Following the link twice (or after being activated by an admin) still lands on "confirmed"
+  return res.redirect(303, '/?subscription=confirmed');
+}
+
+async function unsubscribe(req, res) {
+  // The page's button sends page=1; anything else POSTing is a mail client's one-click request
+  const fromPage = req.method === 'POST' && req.body?.page === '1';
+  const oneClick = req.method === 'POST' && !fromPage;
+
+  const email = verifyToken(req.query.token, 'unsubscribe');
+  if (!email) {
+    return oneClick
+      ? res.status(400).json({ error: 'Invalid unsubscribe link' })
+      : res.redirect(302, '/?subscription=invalid');
+  }
+  if (req.method !== 'POST') {
+    return sendLinkPage(res, 'unsubscribe', email, req.query.token);
+  }
+
+  const subscriber = await setSubscriberStatus(email, 'unsubscribed', ['pending', 'active']);
+  if (subscriber) {
+    console.log(`👋 Subscriber ${subscriber.id} unsubscribed`);
+  }
+
+  return oneClick
+    ? res.json({ success: true })
+    : res.redirect(303, '/?subscription=unsubscribed');
+}
+
+// A one-button form that POSTs back to the same link
+function sendLinkPage(res, action, email, token) {
+  const page = LINK_PAGES[action];
+  const formAction = `/api/subscribe?action=${action}&token=${encodeURIComponent(token)}`;
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('X-Robots-Tag', 'noindex');
+  return res.status(200).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${page.title} - How the News Affects You</title>
+</head>
+<body style="margin:0;background:#fafafa;font-family:Georgia,'Times New Roman',serif;color:#111;">
+  <div style="max-width:420px;margin:80px auto;padding:32px 24px;background:#fff;border:1px solid #e5e5e5;border-radius:8px;text-align:center;">
+    <h1 style="font-family:system-ui,-apple-system,sans-serif;font-size:22px;margin:0 0 12px;">${page.title}</h1>
+    <p style="font-size:16px;line-height:1.5;color:#1f2937;margin:0 0 24px;">${escapeHtml(page.text(email))}</p>
+    <form method="POST" action="${escapeHtml(formAction)}">
+      <input type="hidden" name="page" value="1">
+      <button type="submit" style="background:#1f2937;color:#fff;padding:12px 20px;border:none;border-radius:6px;font-size:16px;font-weight:600;cursor:pointer;">${page.button}</button>
+    </form>
+  </div>
+</body>
+</html>`);
+}
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -11,19 +11,25 @@ async function extractArticle() {
     adminPanel.addLog('info', 'Extracting article content...');
     
     try {
-        // This would call the content extraction API (if implemented)
         const response = await fetch(`${adminPanel.API_BASE}/api/extract-content`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${adminPanel.adminKey}`
+            },
             body: JSON.stringify({ url })
         });
         
         const data = await response.json();
         if (data.success) {
-            document.getElementById('manual-title').value = data.content.title || '';
-            document.getElementById('manual-description').value = data.content.content || '';
-            document.getElementById('manual-source').value = url.split('/')[2] || '';
-            adminPanel.addLog('success', 'Article extracted successfully');
+            const content = data.content;
+            document.getElementById('manual-title').value = content.title || '';
+            document.getElementById('manual-description').value = content.excerpt || content.content || '';
+            document.getElementById('manual-source').value = content.siteName || url.split('/')[2] || '';
+            document.getElementById('manual-image').value = content.image || '';
+            document.getElementById('manual-published-at').value = content.publishedAt || '';
+            document.getElementById('manual-byline').value = content.byline || '';
+            adminPanel.addLog('success', `Article extracted successfully (${content.wordCount} words)`);
         } else {
             adminPanel.addLog('error', 'Failed to extract article: ' + data.error);
         }
@@ -32,36 +38,65 @@ async function extractArticle() {
     }
 }
 
-function addManualArticle() {
+async function addManualArticle() {
     const title = document.getElementById('manual-title').value;
     const description = document.getElementById('manual-description').value;
     const source = document.getElementById('manual-source').value;
     const url = document.getElementById('article-url').value;
+    const image = document.getElementById('manual-image').value;
+    const publishedAt = document.getElementById('manual-published-at').value;
+    const byline = document.getElementById('manual-byline').value.trim();
     const status = document.getElementById('manual-status').value;
+    const analyze = document.getElementById('manual-analyze').checked;
     
     if (!title || !description) {
         adminPanel.addLog('error', 'Title and description are required');
         return;
     }
     
-    const newArticle = {
-        id: 'manual-' + Date.now(),
-        title: title,
-        description: description,
-        url: url,
-        source: { name: source },
-        publishedAt: new Date().toISOString(),
-        status: status,
-        preGeneratedAnalysis: null
-    };
-    
-    adminPanel.articles.unshift(newArticle);
-    adminPanel.renderArticles(adminPanel.currentFilter || 'all');
-    adminPanel.updateStats();
-    adminPanel.addLog('success', 'Manual article added');
+    adminPanel.addLog('info', analyze ? 'Adding article and generating analysis...' : 'Adding article...');
     
-    // Note: Analysis would need to be added manually via edit function
-    // No automatic generation via personalize API
+    try {
+        const response = await fetch(`${adminPanel.API_BASE}/api/admin?action=add-article`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${adminPanel.adminKey}`
+            },
+            body: JSON.stringify({
+                article: {
+                    title: title,
+                    description: description,
+                    url: url,
+                    urlToImage: image,
+                    publishedAt: publishedAt,
+                    byline: byline,
+                    source: { name: source }
+                },
+                status: status,
+                analyze: analyze,
+                ...adminPanel.editionScope()
+            })
+        });
+        
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        
+        adminPanel.articles.push(data.article);
+        adminPanel.renderArticles(adminPanel.currentFilter || 'all');
+        adminPanel.updateStats();
+        adminPanel.addLog('success', `Manual article added at position ${data.article.order}`);
+        
+        if (data.analysisError) {
+            adminPanel.addLog('warning', 'Analysis not generated: ' + data.analysisError);
+        }
+        
+        clearManualForm();
+    } catch (error) {
+        adminPanel.addLog('error', 'Failed to add article: ' + error.message);
+    }
 }
 
 function clearManualForm() {
@@ -69,7 +104,11 @@ function clearManualForm() {
     document.getElementById('manual-title').value = '';
     document.getElementById('manual-description').value = '';
     document.getElementById('manual-source').value = '';
+    document.getElementById('manual-image').value = '';
+    document.getElementById('manual-published-at').value = '';
+    document.getElementById('manual-byline').value = '';
     document.getElementById('manual-status').value = 'queue';
+    document.getElementById('manual-analyze').checked = false;
 }
 
 // REMOVED FUNCTIONS (No longer call /api/personalize):
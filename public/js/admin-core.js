@@ -3,19 +3,31 @@ class AdminPanel {
     constructor() {
         this.API_BASE = ''; // Use relative URLs instead of hardcoded domain
         this.articles = [];
-        this.settings = this.loadSettings();
+        this.settings = {};
         this.adminKey = 'hdta-admin-2025-temp'; // Change this in production
         this.currentFilter = 'all';
+        // Edition the whole panel works on (?week=YYYY-MM-DD); null means this week's
+        this.selectedWeek = new URLSearchParams(location.search).get('week');
+    }
+
+    // Added to every edition-scoped admin request
+    editionQuery() {
+        return this.selectedWeek ? `&week=${encodeURIComponent(this.selectedWeek)}` : '';
+    }
+
+    editionScope() {
+        return this.selectedWeek ? { week: this.selectedWeek } : {};
     }
 
     async init() {
+        await this.loadSettings();
         await this.loadData();
         this.updateStats();
     }
 
     async loadData() {
         try {
-            const response = await fetch(`${this.API_BASE}/api/admin?action=get-articles`, {
+            const response = await fetch(`${this.API_BASE}/api/admin?action=get-articles${this.editionQuery()}`, {
                 headers: {
                     'Authorization': `Bearer ${this.adminKey}`
                 }
@@ -31,17 +43,25 @@ class AdminPanel {
             const data = await response.json();
             
             this.articles = data.articles || [];
+            this.edition = data.edition || null;
+            this.weekStart = data.week_start || null;
+            if (typeof this.renderEditionLifecycle === 'function') {
+                this.renderEditionLifecycle();
+            }
             
             if (data.edition) {
                 const info = data.edition;
                 const editionEl = document.getElementById('edition-info');
                 if (editionEl) {
-                    editionEl.textContent = `Issue #${info.issue_number} • ${info.date} (${info.status})`;
+                    const delivery = info.delivery?.total
+                        ? ` • 📧 ${info.delivery.sent}/${info.delivery.total} emailed${info.delivery.failed ? `, ${info.delivery.failed} failed` : ''}`
+                        : '';
+                    editionEl.textContent = `Issue #${info.issue_number} • ${info.date} (${info.status})${delivery}`;
                 }
             } else {
                 const editionEl = document.getElementById('edition-info');
                 if (editionEl) {
-                    editionEl.textContent = 'No edition found for today';
+                    editionEl.textContent = data.week_start ? `No edition for the week of ${data.week_start}` : 'No edition found for today';
                 }
             }
             
@@ -92,48 +112,81 @@ class AdminPanel {
         }
     }
 
-    loadSettings() {
-        const defaults = {
-            maxArticles: 6,
-            daysBack: 3,
-            minScore: 10,
-            wordMin: 100,
-            wordMax: 250,
-            temperature: 0.4,
-            similarity: 0.75,
-            autoPublish: true
-        };
-        
+    // Editorial settings live on the server (app_settings) and drive the weekly workflow
+    async loadSettings() {
         try {
-            const saved = localStorage.getItem('hdta-admin-settings');
-            return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
-        } catch {
-            return defaults;
+            const response = await fetch(`${this.API_BASE}/api/admin?action=get-settings`, {
+                headers: {
+                    'Authorization': `Bearer ${this.adminKey}`
+                }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.settings = data.settings || {};
+            this.defaultSettings = data.defaults || {};
+            this.topics = data.topics || [];
+            this.personas = data.personas || [];
+        } catch (error) {
+            this.addLog('warning', 'Failed to load settings: ' + error.message);
         }
+        
+        return this.settings;
     }
 
-    saveSettings() {
+    async saveSettings() {
         const settings = {
-            maxArticles: parseInt(document.getElementById('max-articles')?.value || '6'),
-            daysBack: parseInt(document.getElementById('days-back')?.value || '3'),
-            minScore: parseInt(document.getElementById('min-score')?.value || '10'),
-            wordMin: parseInt(document.getElementById('word-min')?.value || '100'),
+            maxArticles: parseInt(document.getElementById('max-articles')?.value || '10'),
+            daysBack: parseInt(document.getElementById('days-back')?.value || '7'),
+            minScore: parseInt(document.getElementById('min-score')?.value || '0'),
+            wordMin: parseInt(document.getElementById('word-min')?.value || '20'),
             wordMax: parseInt(document.getElementById('word-max')?.value || '250'),
             temperature: parseFloat(document.getElementById('temperature')?.value || '0.4'),
             similarity: parseFloat(document.getElementById('similarity')?.value || '0.75'),
-            autoPublish: document.getElementById('auto-publish')?.checked || true
+            clusterSimilarity: parseFloat(document.getElementById('cluster-similarity')?.value || '0.35'),
+            repeatLookback: parseInt(document.getElementById('repeat-lookback')?.value || '4'),
+            repeatPenalty: parseInt(document.getElementById('repeat-penalty')?.value || '60'),
+            maxPerTopic: parseInt(document.getElementById('max-per-topic')?.value || '3'),
+            claimCheck: document.getElementById('claim-check')?.value || 'flag',
+            publishWeekday: parseInt(document.getElementById('publish-weekday')?.value || '1'),
+            publishHour: parseInt(document.getElementById('publish-hour')?.value || '12'),
+            topicLimits: this.collectTopicLimits(),
+            personas: [...document.querySelectorAll('#persona-options input:checked')].map(input => input.value)
         };
         
-        localStorage.setItem('hdta-admin-settings', JSON.stringify(settings));
-        this.settings = settings;
-        this.addLog('success', 'Settings saved successfully');
+        await this.postSettings({ settings });
+    }
+
+    async resetSettings() {
+        if (!confirm('Reset editorial settings to defaults?')) return;
+        await this.postSettings({ reset: true });
     }
 
-    resetSettings() {
-        localStorage.removeItem('hdta-admin-settings');
-        this.settings = this.loadSettings();
-        this.populateSettingsForm();
-        this.addLog('info', 'Settings reset to defaults');
+    async postSettings(body) {
+        try {
+            const response = await fetch(`${this.API_BASE}/api/admin?action=update-settings`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.adminKey}`
+                },
+                body: JSON.stringify(body)
+            });
+            
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error((data.errors || []).join('; ') || data.error || `HTTP ${response.status}`);
+            }
+            
+            this.settings = data.settings;
+            this.populateSettingsForm();
+            this.addLog('success', data.message || 'Settings saved successfully');
+        } catch (error) {
+            this.addLog('error', 'Failed to save settings: ' + error.message);
+        }
     }
 
     populateSettingsForm() {
@@ -145,12 +198,18 @@ class AdminPanel {
             'word-max': this.settings.wordMax,
             'temperature': this.settings.temperature,
             'similarity': this.settings.similarity,
-            'auto-publish': this.settings.autoPublish
+            'cluster-similarity': this.settings.clusterSimilarity,
+            'repeat-lookback': this.settings.repeatLookback,
+            'repeat-penalty': this.settings.repeatPenalty,
+            'max-per-topic': this.settings.maxPerTopic,
+            'claim-check': this.settings.claimCheck,
+            'publish-weekday': this.settings.publishWeekday,
+            'publish-hour': this.settings.publishHour
         };
         
         Object.keys(elements).forEach(id => {
             const el = document.getElementById(id);
-            if (el) {
+            if (el && elements[id] !== undefined) {
                 if (el.type === 'checkbox') {
                     el.checked = elements[id];
                 } else {
@@ -158,6 +217,51 @@ class AdminPanel {
                 }
             }
         });
+        
+        this.renderTopicLimits();
+        this.renderPersonaOptions();
+    }
+
+    renderTopicLimits() {
+        const container = document.getElementById('topic-limits');
+        if (!container) return;
+        
+        const limits = this.settings.topicLimits || {};
+        container.innerHTML = (this.topics || []).map(topic => `
+            <div class="form-group" data-topic="${topic.id}">
+                <label>${this.escapeHtml(topic.label)} (min / max)</label>
+                <div class="inline-form">
+                    <input type="number" data-bound="min" min="0" max="10" placeholder="0" value="${limits[topic.id]?.min ?? ''}">
+                    <input type="number" data-bound="max" min="0" max="10" placeholder="${this.settings.maxPerTopic || ''}" value="${limits[topic.id]?.max ?? ''}">
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Blank bounds are left out so the topic falls back to "no minimum" / maxPerTopic
+    collectTopicLimits() {
+        const limits = {};
+        document.querySelectorAll('#topic-limits [data-topic]').forEach(el => {
+            const bounds = {};
+            el.querySelectorAll('input[data-bound]').forEach(input => {
+                if (input.value !== '') bounds[input.dataset.bound] = parseInt(input.value);
+            });
+            if (Object.keys(bounds).length > 0) limits[el.dataset.topic] = bounds;
+        });
+        return limits;
+    }
+
+    renderPersonaOptions() {
+        const container = document.getElementById('persona-options');
+        if (!container) return;
+        
+        const enabled = this.settings.personas || [];
+        container.innerHTML = (this.personas || []).map(persona => `
+            <label style="display: flex; align-items: center; gap: 6px; font-size: 14px;">
+                <input type="checkbox" value="${persona.id}" ${enabled.includes(persona.id) ? 'checked' : ''}>
+                ${this.escapeHtml(persona.label)}
+            </label>
+        `).join('');
     }
 
     addLog(type, message) {
@@ -191,11 +295,17 @@ class AdminPanel {
         return pub.toLocaleDateString();
     }
 
+    // Safe in attribute values too - innerHTML alone leaves quotes as they are
     escapeHtml(text) {
         if (!text) return '';
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // Escaped link target, or '' for anything but http(s) (javascript: URLs from feeds)
+    safeUrl(url) {
+        return /^https?:\/\//i.test(url || '') ? this.escapeHtml(url) : '';
     }
 
     closeModal() {
@@ -297,7 +407,7 @@ class AdminPanel {
                     <div class="article-actions">
                         <button class="btn btn-small" onclick="adminPanel.editAnalysis(${safeIndex})">✏️ Edit</button>
                         ${statusActions}
-                        <button class="btn btn-small btn-secondary" onclick="window.open('${this.escapeHtml(article.url || '')}', '_blank')">🔗 View Original</button>
+                        <button class="btn btn-small btn-secondary" data-url="${this.safeUrl(article.url)}" onclick="window.open(this.dataset.url, '_blank')">🔗 View Original</button>
                         <button class="btn btn-small btn-danger" onclick="adminPanel.removeArticle(${safeIndex})">🗑️ Remove</button>
                     </div>
                 </div>
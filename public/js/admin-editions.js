@@ -0,0 +1,184 @@
+// admin-editions.js - Edition lifecycle: draft → in review → scheduled → published → sent
+const EDITION_STATUS_LABELS = {
+    draft: 'Draft - analyses still pending',
+    in_review: 'In review',
+    scheduled: 'Scheduled',
+    published: 'Published - emailing',
+    sent: 'Sent',
+    delivery_failed: 'Email failed'
+};
+
+AdminPanel.prototype.renderEditionLifecycle = function() {
+    const bar = document.getElementById('edition-lifecycle');
+    if (!bar) return;
+
+    const edition = this.edition;
+    if (!edition) {
+        bar.innerHTML = '';
+        return;
+    }
+
+    const formatTime = value => value ? new Date(value).toLocaleString() : '';
+    // datetime-local wants "YYYY-MM-DDTHH:MM" in local time
+    const toInputValue = value => {
+        const date = value ? new Date(value) : new Date();
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    };
+
+    let detail = '';
+    let controls = '';
+    if (edition.status === 'draft' || edition.status === 'in_review') {
+        detail = 'Not public until approved.';
+        controls = `
+            <button class="btn btn-small" onclick="adminPanel.approveEdition()">✅ Approve for default time</button>
+            <input type="datetime-local" id="edition-schedule-time" value="${toInputValue(null)}">
+            <button class="btn btn-small btn-secondary" onclick="adminPanel.approveEdition(true)">🗓️ Approve for this time</button>
+        `;
+    } else if (edition.status === 'scheduled') {
+        detail = `Publishes ${formatTime(edition.scheduled_for)} (checked every 15 minutes).`;
+        controls = `
+            <input type="datetime-local" id="edition-schedule-time" value="${toInputValue(edition.scheduled_for)}">
+            <button class="btn btn-small btn-secondary" onclick="adminPanel.scheduleEdition()">🗓️ Reschedule</button>
+            <button class="btn btn-small btn-warning" onclick="adminPanel.unscheduleEdition()">↩️ Unschedule</button>
+        `;
+    } else if (edition.status === 'published') {
+        detail = `Published ${formatTime(edition.published_at)}; marked sent once delivery completes.`;
+    } else if (edition.status === 'sent') {
+        detail = `Published ${formatTime(edition.published_at)}, sent ${formatTime(edition.sent_at)}.`;
+    } else if (edition.status === 'delivery_failed') {
+        detail = `Published ${formatTime(edition.published_at)}; no email could be sent. Fix SMTP, then Send Newsletter retries everyone.`;
+    }
+
+    bar.innerHTML = `
+        <div class="edition-lifecycle">
+            <span class="run-status edition-${edition.status}">${EDITION_STATUS_LABELS[edition.status] || this.escapeHtml(edition.status)}</span>
+            <span style="color: #6b7280;">${detail}</span>
+            ${controls}
+        </div>
+    `;
+};
+
+AdminPanel.prototype.readScheduleTime = function() {
+    const value = document.getElementById('edition-schedule-time')?.value;
+    return value ? new Date(value).toISOString() : null;
+};
+
+AdminPanel.prototype.approveEdition = async function(useChosenTime = false) {
+    const scheduledFor = useChosenTime ? this.readScheduleTime() : null;
+    if (useChosenTime && !scheduledFor) {
+        this.addLog('warning', 'Pick a publish time first');
+        return;
+    }
+    await this.postEditionAction('approve-edition', { scheduledFor });
+};
+
+AdminPanel.prototype.scheduleEdition = async function() {
+    const scheduledFor = this.readScheduleTime();
+    if (!scheduledFor) {
+        this.addLog('warning', 'Pick a publish time first');
+        return;
+    }
+    await this.postEditionAction('schedule-edition', { scheduledFor });
+};
+
+AdminPanel.prototype.unscheduleEdition = async function() {
+    if (!confirm('Take this edition off the schedule and back to review?')) return;
+    await this.postEditionAction('unschedule-edition', {});
+};
+
+AdminPanel.prototype.postEditionAction = async function(action, body) {
+    if (!this.edition) return;
+
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?action=${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.adminKey}`
+            },
+            body: JSON.stringify({ editionId: this.edition.id, ...body })
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        this.addLog('success', data.message);
+        await this.loadData();
+    } catch (error) {
+        this.addLog('error', `Failed to update edition: ${error.message}`);
+    }
+};
+
+// Edition picker in the header: every edition, plus this week and next week when they have none yet
+AdminPanel.prototype.loadEditions = async function() {
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?action=list-editions&limit=52`, {
+            headers: {
+                'Authorization': `Bearer ${this.adminKey}`
+            }
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        this.editions = data.editions || [];
+        this.currentWeek = data.current_week;
+        this.renderEditionPicker();
+    } catch (error) {
+        this.addLog('warning', 'Failed to load editions: ' + error.message);
+    }
+};
+
+AdminPanel.prototype.renderEditionPicker = function() {
+    const picker = document.getElementById('edition-picker');
+    if (!picker || !this.currentWeek) return;
+
+    const nextWeek = new Date(`${this.currentWeek}T00:00:00Z`);
+    nextWeek.setUTCDate(nextWeek.getUTCDate() + 7);
+    const weeks = [nextWeek.toISOString().split('T')[0], this.currentWeek];
+
+    const options = weeks
+        .filter(week => !this.editions.some(e => e.week_start_date === week))
+        .map(week => ({ week, label: `Week of ${week} - ${week === this.currentWeek ? 'this week' : 'next week'}, not generated` }))
+        .concat(this.editions.map(e => ({
+            week: e.week_start_date,
+            label: `#${e.issue_number} • Week of ${e.week_start_date} (${e.status})${e.week_start_date === this.currentWeek ? ' - this week' : ''}`
+        })))
+        .sort((a, b) => b.week.localeCompare(a.week));
+
+    const selected = this.selectedWeek || this.currentWeek;
+    picker.innerHTML = options.map(o => `
+        <option value="${o.week}" ${o.week === selected ? 'selected' : ''}>${this.escapeHtml(o.label)}</option>
+    `).join('');
+    this.updateWeekActions();
+};
+
+// Force Refetch deletes and rebuilds this week's edition, so it is off while another week is open
+AdminPanel.prototype.updateWeekActions = function() {
+    const refetch = document.getElementById('force-refetch-btn');
+    if (!refetch) return;
+    refetch.disabled = !!this.selectedWeek;
+    refetch.title = this.selectedWeek ? 'Only this week can be refetched - switch the picker back to this week' : '';
+};
+
+// Switches the whole panel; the choice is kept in ?week= so reloads stay on it
+AdminPanel.prototype.selectEdition = async function(week) {
+    this.selectedWeek = week && week !== this.currentWeek ? week : null;
+
+    const url = new URL(location.href);
+    if (this.selectedWeek) {
+        url.searchParams.set('week', this.selectedWeek);
+    } else {
+        url.searchParams.delete('week');
+    }
+    history.replaceState(null, '', url);
+    this.updateWeekActions();
+
+    this.addLog('info', `Switched to the week of ${week}`);
+    await this.loadData();
+    this.updateStats();
+};
@@ -1,6 +1,6 @@
-// admin-prompts.js - Analysis editing only (prompts managed via environment variables)
+// admin-prompts.js - Analysis editing and versioned analysis prompts (analysis_prompts table)
 
-// Analysis editing methods only
+// Analysis editing methods
 AdminPanel.prototype.saveAnalysis = async function() {
     const editor = document.getElementById('analysis-editor');
     const index = parseInt(editor.dataset.articleIndex);
@@ -21,7 +21,9 @@ AdminPanel.prototype.saveAnalysis = async function() {
             });
             
             if (response.ok) {
+                const data = await response.json();
                 this.articles[index].preGeneratedAnalysis = newAnalysis;
+                this.articles[index].claimCheck = data.claimCheck || null;
                 this.renderArticles(this.currentFilter);
                 this.addLog('success', `Updated analysis for article ${index + 1}`);
             } else {
@@ -40,7 +42,7 @@ AdminPanel.prototype.saveAnalysis = async function() {
     this.closeModal();
 };
 
-AdminPanel.prototype.saveAnalysisToDatabase = async function(articleId, analysis) {
+AdminPanel.prototype.saveAnalysisToDatabase = async function(articleId, analysis, promptVersion = null, sections = {}) {
     try {
         await fetch(`${this.API_BASE}/api/admin?action=update-analysis`, {
             method: 'POST',
@@ -48,9 +50,178 @@ AdminPanel.prototype.saveAnalysisToDatabase = async function(articleId, analysis
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${this.adminKey}`
             },
-            body: JSON.stringify({ articleId, newAnalysis: analysis })
+            body: JSON.stringify({
+                articleId,
+                newAnalysis: analysis,
+                promptVersion,
+                whatsHappening: sections.whatsHappening || null,
+                affectsMe: sections.affectsMe || null,
+                personaNotes: sections.personaNotes || null
+            })
         });
     } catch (error) {
         this.addLog('warning', 'Failed to save to database: ' + error.message);
     }
 };
+
+// Prompt versions
+AdminPanel.prototype.loadPrompts = async function() {
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?action=list-prompts`, {
+            headers: {
+                'Authorization': `Bearer ${this.adminKey}`
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        this.prompts = data.prompts || [];
+        this.activePromptVersion = data.activeVersion;
+        this.renderPrompts(data);
+    } catch (error) {
+        this.addLog('warning', 'Failed to load prompts: ' + error.message);
+    }
+};
+
+AdminPanel.prototype.renderPrompts = function(data) {
+    const list = document.getElementById('prompt-versions');
+    const status = document.getElementById('prompt-status');
+    const systemEditor = document.getElementById('prompt-editor');
+    const userEditor = document.getElementById('user-prompt-editor');
+
+    const active = this.prompts.find(p => p.is_active);
+
+    if (status) {
+        status.textContent = active
+            ? `Active: v${active.version} by ${active.author}`
+            : 'No active version - the workflow is using SYSTEM_PROMPT / USER_PROMPT from the environment';
+    }
+
+    // Start new versions from what's running now
+    if (systemEditor && !systemEditor.value) {
+        systemEditor.value = active?.system_prompt || data.environment?.systemPrompt || '';
+    }
+    if (userEditor && !userEditor.value) {
+        userEditor.value = active?.user_prompt || data.environment?.userPrompt || '';
+    }
+
+    if (!list) return;
+
+    if (this.prompts.length === 0) {
+        list.innerHTML = '<p style="color: #6b7280; font-size: 14px;">No prompt versions yet.</p>';
+        return;
+    }
+
+    list.innerHTML = this.prompts.map(p => `
+        <div class="prompt-version ${p.is_active ? 'active' : ''}">
+            <div>
+                <strong>v${p.version}</strong> ${p.is_active ? '<span class="topic-tag">active</span>' : ''}
+                <div style="font-size: 12px; color: #6b7280;">
+                    ${this.escapeHtml(p.author || 'admin')} • ${new Date(p.created_at).toLocaleString()}
+                    ${p.note ? ` • ${this.escapeHtml(p.note)}` : ''}
+                </div>
+            </div>
+            <div>
+                ${active && !p.is_active ? `<button class="btn btn-small btn-secondary" onclick="adminPanel.showPromptDiff(${p.version})">🔍 Diff vs active</button>` : ''}
+                ${!p.is_active ? `<button class="btn btn-small" onclick="adminPanel.activatePromptVersion(${p.version})">✅ Activate</button>` : ''}
+            </div>
+        </div>
+    `).join('');
+};
+
+AdminPanel.prototype.postPromptAction = async function(action, body) {
+    const response = await fetch(`${this.API_BASE}/api/admin?action=${action}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.adminKey}`
+        },
+        body: JSON.stringify(body || {})
+    });
+
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+};
+
+AdminPanel.prototype.createPromptVersion = async function() {
+    const body = {
+        systemPrompt: document.getElementById('prompt-editor')?.value || '',
+        userPrompt: document.getElementById('user-prompt-editor')?.value || '',
+        author: document.getElementById('prompt-author')?.value || '',
+        note: document.getElementById('prompt-note')?.value || '',
+        activate: !!document.getElementById('prompt-activate')?.checked
+    };
+
+    try {
+        const data = await this.postPromptAction('create-prompt', body);
+        const note = document.getElementById('prompt-note');
+        if (note) note.value = '';
+        this.addLog('success', data.message);
+        await this.loadPrompts();
+    } catch (error) {
+        this.addLog('error', 'Failed to create prompt: ' + error.message);
+        alert('Prompt not saved: ' + error.message);
+    }
+};
+
+AdminPanel.prototype.activatePromptVersion = async function(version) {
+    if (!confirm(`Activate prompt v${version}? New analyses will use it.`)) return;
+
+    try {
+        const data = await this.postPromptAction('activate-prompt', { version });
+        this.addLog('success', data.message);
+        await this.loadPrompts();
+    } catch (error) {
+        this.addLog('error', 'Failed to activate prompt: ' + error.message);
+    }
+};
+
+AdminPanel.prototype.rollbackPrompt = async function() {
+    if (!confirm('Roll back to the previously active prompt?')) return;
+
+    try {
+        const data = await this.postPromptAction('rollback-prompt');
+        this.addLog('success', data.message);
+        await this.loadPrompts();
+    } catch (error) {
+        this.addLog('error', 'Rollback failed: ' + error.message);
+    }
+};
+
+AdminPanel.prototype.showPromptDiff = async function(version) {
+    const output = document.getElementById('prompt-diff');
+    if (!output) return;
+
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?action=diff-prompts&from=${version}`, {
+            headers: {
+                'Authorization': `Bearer ${this.adminKey}`
+            }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        const render = lines => lines.map(l => {
+            const prefix = l.type === 'added' ? '+ ' : l.type === 'removed' ? '- ' : '  ';
+            return `<div class="diff-${l.type}">${this.escapeHtml(prefix + l.line)}</div>`;
+        }).join('');
+
+        output.innerHTML = `
+            <h4>v${data.from} → v${data.to} (active)</h4>
+            <div class="analysis-label">System prompt</div>
+            <div class="prompt-diff-body">${render(data.system)}</div>
+            <div class="analysis-label">User prompt</div>
+            <div class="prompt-diff-body">${render(data.user)}</div>
+        `;
+    } catch (error) {
+        this.addLog('error', 'Failed to diff prompts: ' + error.message);
+    }
+};
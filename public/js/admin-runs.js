@@ -0,0 +1,120 @@
+// admin-runs.js - Workflow run history (workflow_runs table, one row per execution)
+AdminPanel.prototype.loadRuns = async function() {
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?action=list-runs`, {
+            headers: {
+                'Authorization': `Bearer ${this.adminKey}`
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        this.runs = data.runs || [];
+        this.renderRuns();
+    } catch (error) {
+        this.addLog('warning', 'Failed to load workflow runs: ' + error.message);
+    }
+};
+
+AdminPanel.prototype.renderRuns = function() {
+    const list = document.getElementById('runs-list');
+    if (!list) return;
+
+    if (this.runs.length === 0) {
+        list.innerHTML = '<p style="color: #6b7280; font-size: 14px;">No workflow runs recorded yet.</p>';
+        return;
+    }
+
+    list.innerHTML = this.runs.map(run => {
+        const counts = run.counts || {};
+        const summary = [
+            counts.fetched !== undefined ? `${counts.fetched} fetched` : '',
+            counts.analyzed !== undefined ? `${counts.analyzed} analyzed` : '',
+            counts.pending ? `${counts.pending} pending` : '',
+            counts.failed ? `${counts.failed} failed` : ''
+        ].filter(Boolean).join(' • ');
+
+        return `
+            <div class="workflow-run" onclick="adminPanel.showRun('${run.id}')">
+                <div>
+                    <span class="run-status run-${run.status}">${run.status}</span>
+                    <strong>${new Date(run.started_at).toLocaleString()}</strong>
+                    <span class="topic-tag">${this.escapeHtml(run.trigger)}</span>
+                    ${run.resumed_from ? `<span style="font-size: 12px; color: #6b7280;">resumed after ${this.escapeHtml(run.resumed_from)}</span>` : ''}
+                    <div style="font-size: 12px; color: #6b7280;">
+                        Week of ${run.week_start_date || '?'} • ${this.formatDuration(run.duration_ms)}${summary ? ` • ${summary}` : ''}
+                    </div>
+                    ${run.error ? `<div style="font-size: 12px; color: #991b1b;">${this.escapeHtml(run.error)}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+};
+
+AdminPanel.prototype.showRun = async function(id) {
+    const detail = document.getElementById('run-detail');
+    if (!detail) return;
+
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?action=get-run&id=${encodeURIComponent(id)}`, {
+            headers: {
+                'Authorization': `Bearer ${this.adminKey}`
+            }
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        const run = data.run;
+        const listEntries = obj => Object.entries(obj || {})
+            .map(([key, value]) => `<div>${this.escapeHtml(key)}: <strong>${value}</strong></div>`)
+            .join('') || '<div style="color: #6b7280;">none</div>';
+
+        detail.innerHTML = `
+            <h3 style="margin: 20px 0 12px;">Run ${new Date(run.started_at).toLocaleString()} (${this.escapeHtml(run.trigger)})</h3>
+            ${run.error ? `<div class="claim-flags" style="margin-bottom: 12px;">❌ ${this.escapeHtml(run.error)}</div>` : ''}
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Stages</label>
+                    ${(run.stages || []).map(s => {
+                        const extra = Object.entries(s).filter(([k]) => k !== 'stage' && k !== 'ms')
+                            .map(([k, v]) => `${this.escapeHtml(k)} ${v}`).join(', ');
+                        return `<div>${this.escapeHtml(s.stage)}: <strong>${this.formatDuration(s.ms)}</strong>${extra ? ` <span style="color: #6b7280;">(${extra})</span>` : ''}</div>`;
+                    }).join('') || '<div style="color: #6b7280;">none completed</div>'}
+                </div>
+                <div class="form-group">
+                    <label>Articles</label>
+                    ${listEntries(run.counts)}
+                </div>
+                <div class="form-group">
+                    <label>Providers (${this.escapeHtml(run.model || 'model not set')})</label>
+                    ${listEntries(run.providers)}
+                </div>
+                <div class="form-group">
+                    <label>External calls</label>
+                    ${listEntries(run.calls)}
+                </div>
+            </div>
+            <label style="display: block; margin-top: 12px;">Rejected analyses (${(run.rejections || []).length})</label>
+            ${(run.rejections || []).map(r => `
+                <div style="font-size: 13px;">
+                    ${this.escapeHtml(r.title)} <span style="color: #6b7280;">attempt ${r.attempt}:</span> ${this.escapeHtml(r.reason)}
+                </div>
+            `).join('') || '<div style="font-size: 13px; color: #6b7280;">none</div>'}
+        `;
+    } catch (error) {
+        this.addLog('error', 'Failed to load workflow run: ' + error.message);
+    }
+};
+
+AdminPanel.prototype.formatDuration = function(ms) {
+    if (ms === null || ms === undefined) return 'still running';
+    if (ms < 1000) return `${ms}ms`;
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
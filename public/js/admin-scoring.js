@@ -0,0 +1,168 @@
+// admin-scoring.js - Scoring rule editor (rules stored server-side, used by the weekly run)
+AdminPanel.prototype.loadScoringRules = async function() {
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?action=get-scoring-rules`, {
+            headers: {
+                'Authorization': `Bearer ${this.adminKey}`
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        this.scoringRules = data.rules || [];
+        this.scoringRuleTypes = data.types || ['keyword', 'agency', 'source', 'freshness'];
+        this.renderScoringRules();
+    } catch (error) {
+        this.addLog('warning', 'Failed to load scoring rules: ' + error.message);
+    }
+};
+
+AdminPanel.prototype.renderScoringRules = function() {
+    const container = document.getElementById('scoring-rules');
+    if (!container) return;
+
+    const types = this.scoringRuleTypes || [];
+
+    container.innerHTML = (this.scoringRules || []).map((rule, index) => {
+        const typeOptions = types.map(t =>
+            `<option value="${t}" ${t === rule.type ? 'selected' : ''}>${t}</option>`
+        ).join('');
+        const isFreshness = rule.type === 'freshness';
+
+        return `
+            <div class="scoring-rule" data-index="${index}">
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label>Label</label>
+                        <input type="text" data-field="label" value="${this.escapeHtml(rule.label || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label>ID</label>
+                        <input type="text" data-field="id" value="${this.escapeHtml(rule.id || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label>Type</label>
+                        <select data-field="type" onchange="adminPanel.changeScoringRuleType(${index}, this.value)">${typeOptions}</select>
+                    </div>
+                    <div class="form-group">
+                        <label>Weight</label>
+                        <input type="number" data-field="weight" min="-100" max="100" value="${rule.weight}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    ${isFreshness ? `
+                        <label>Published within (hours)</label>
+                        <input type="number" data-field="maxHours" min="1" max="720" value="${rule.maxHours || 24}">
+                    ` : `
+                        <label>Terms (comma separated)</label>
+                        <textarea data-field="terms" style="min-height: 60px;">${this.escapeHtml((rule.terms || []).join(', '))}</textarea>
+                    `}
+                </div>
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <label style="font-size: 14px;">
+                        <input type="checkbox" data-field="enabled" ${rule.enabled !== false ? 'checked' : ''}> Enabled
+                    </label>
+                    <button class="btn btn-small btn-danger" onclick="adminPanel.removeScoringRule(${index})">🗑️ Remove</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+};
+
+// Read the form back into rule objects; the server does the real validation
+AdminPanel.prototype.collectScoringRules = function() {
+    return Array.from(document.querySelectorAll('#scoring-rules .scoring-rule')).map(el => {
+        const field = name => el.querySelector(`[data-field="${name}"]`);
+        const rule = {
+            id: field('id').value.trim(),
+            label: field('label').value.trim(),
+            type: field('type').value,
+            weight: parseFloat(field('weight').value),
+            enabled: field('enabled').checked
+        };
+
+        if (rule.type === 'freshness') {
+            rule.maxHours = parseInt(field('maxHours')?.value || '24');
+        } else {
+            rule.terms = (field('terms')?.value || '').split(',').map(t => t.trim()).filter(Boolean);
+        }
+
+        return rule;
+    });
+};
+
+AdminPanel.prototype.changeScoringRuleType = function(index, type) {
+    this.scoringRules = this.collectScoringRules();
+    const rule = this.scoringRules[index];
+    if (!rule) return;
+
+    rule.type = type;
+    if (type === 'freshness') {
+        rule.maxHours = rule.maxHours || 24;
+    } else {
+        rule.terms = rule.terms || [];
+    }
+    this.renderScoringRules();
+};
+
+AdminPanel.prototype.addScoringRule = function() {
+    this.scoringRules = this.collectScoringRules();
+    this.scoringRules.push({
+        id: `rule-${this.scoringRules.length + 1}`,
+        label: 'New rule',
+        type: 'keyword',
+        weight: 5,
+        terms: [],
+        enabled: true
+    });
+    this.renderScoringRules();
+};
+
+AdminPanel.prototype.removeScoringRule = function(index) {
+    this.scoringRules = this.collectScoringRules();
+    this.scoringRules.splice(index, 1);
+    this.renderScoringRules();
+};
+
+AdminPanel.prototype.saveScoringRules = async function(reset = false) {
+    const body = reset ? { reset: true } : { rules: this.collectScoringRules() };
+
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?action=update-scoring-rules`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.adminKey}`
+            },
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error((data.errors || []).join('; ') || data.error || `HTTP ${response.status}`);
+        }
+
+        this.scoringRules = data.rules;
+        this.renderScoringRules();
+        this.addLog('success', data.message);
+    } catch (error) {
+        this.addLog('error', 'Failed to save scoring rules: ' + error.message);
+        alert('Scoring rules not saved: ' + error.message);
+    }
+};
+
+AdminPanel.prototype.formatScoreBreakdown = function(breakdown) {
+    if (!breakdown || breakdown.length === 0) return '<em>No rules fired</em>';
+
+    return breakdown.map(entry => {
+        if (entry.multiplier !== undefined) {
+            return `<div>× ${entry.multiplier} ${this.escapeHtml(entry.label)}</div>`;
+        }
+        const sign = entry.points > 0 ? '+' : '';
+        const matched = (entry.matched || []).map(m => this.escapeHtml(m)).join(', ');
+        return `<div><strong>${sign}${entry.points}</strong> ${this.escapeHtml(entry.label)}${matched ? ` <span style="color: #6b7280;">(${matched})</span>` : ''}</div>`;
+    }).join('');
+};
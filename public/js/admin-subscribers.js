@@ -0,0 +1,120 @@
+// admin-subscribers.js - Newsletter subscribers (subscribers table): search, export, remove
+AdminPanel.prototype.subscriberQuery = { q: '', status: '', offset: 0, limit: 50 };
+
+AdminPanel.prototype.loadSubscribers = async function(changes = {}) {
+    this.subscriberQuery = { ...this.subscriberQuery, ...changes };
+    const { q, status, offset, limit } = this.subscriberQuery;
+    const params = new URLSearchParams({ action: 'list-subscribers', offset, limit });
+    if (q) params.set('q', q);
+    if (status) params.set('status', status);
+
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?${params}`, {
+            headers: {
+                'Authorization': `Bearer ${this.adminKey}`
+            }
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        this.subscribers = data;
+        this.renderSubscribers();
+    } catch (error) {
+        this.addLog('warning', 'Failed to load subscribers: ' + error.message);
+    }
+};
+
+AdminPanel.prototype.renderSubscribers = function() {
+    const list = document.getElementById('subscribers-list');
+    const summary = document.getElementById('subscriber-counts');
+    if (!list || !this.subscribers) return;
+
+    const { subscribers, total, offset, limit, counts } = this.subscribers;
+
+    if (summary) {
+        summary.textContent = `${counts.active} active • ${counts.pending} awaiting confirmation • ${counts.unsubscribed} unsubscribed`;
+    }
+
+    if (subscribers.length === 0) {
+        list.innerHTML = '<p style="color: #6b7280; font-size: 14px;">No subscribers match.</p>';
+        return;
+    }
+
+    const formatDate = value => value ? new Date(value).toLocaleDateString() : '—';
+
+    list.innerHTML = subscribers.map(s => `
+        <div class="workflow-run" style="cursor: default; display: flex; justify-content: space-between; align-items: center;">
+            <div>
+                <span class="run-status subscriber-${s.status}">${s.status}</span>
+                <strong>${this.escapeHtml(s.email)}</strong>
+                <div style="font-size: 12px; color: #6b7280;">
+                    Signed up ${formatDate(s.subscribed_at)} • confirmed ${formatDate(s.confirmed_at)}${s.unsubscribed_at ? ` • unsubscribed ${formatDate(s.unsubscribed_at)}` : ''}
+                </div>
+            </div>
+            <button class="btn btn-danger btn-small" onclick="adminPanel.removeSubscriber('${s.id}')">🗑️ Remove</button>
+        </div>
+    `).join('') + `
+        <div style="display: flex; gap: 8px; align-items: center; margin-top: 12px; font-size: 13px; color: #6b7280;">
+            <button class="btn btn-secondary btn-small" onclick="adminPanel.loadSubscribers({ offset: ${Math.max(offset - limit, 0)} })" ${offset === 0 ? 'disabled' : ''}>← Newer</button>
+            ${offset + 1}–${offset + subscribers.length} of ${total}
+            <button class="btn btn-secondary btn-small" onclick="adminPanel.loadSubscribers({ offset: ${offset + limit} })" ${offset + limit >= total ? 'disabled' : ''}>Older →</button>
+        </div>
+    `;
+};
+
+AdminPanel.prototype.removeSubscriber = async function(id) {
+    if (!confirm('Remove this subscriber? They will stop getting the newsletter and their record is deleted.')) return;
+
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?action=remove-subscriber`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.adminKey}`
+            },
+            body: JSON.stringify({ id })
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        this.addLog('success', data.message);
+        await this.loadSubscribers();
+    } catch (error) {
+        this.addLog('error', 'Failed to remove subscriber: ' + error.message);
+    }
+};
+
+// The endpoint needs the admin key header, so download through a blob instead of a plain link
+AdminPanel.prototype.exportSubscribers = async function() {
+    const { status } = this.subscriberQuery;
+
+    try {
+        const response = await fetch(`${this.API_BASE}/api/admin?action=export-subscribers${status ? `&status=${status}` : ''}`, {
+            headers: {
+                'Authorization': `Bearer ${this.adminKey}`
+            }
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `subscribers${status ? `-${status}` : ''}-${new Date().toISOString().split('T')[0]}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        this.addLog('success', 'Subscriber export downloaded');
+    } catch (error) {
+        this.addLog('error', 'Failed to export subscribers: ' + error.message);
+    }
+};
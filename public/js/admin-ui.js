@@ -23,14 +23,15 @@ AdminPanel.prototype.renderArticles = function(filter = 'all') {
         const safeTitle = this.escapeHtml(article.title || '');
         const safeDescription = this.escapeHtml(article.description || '');
         const safeMeta = this.escapeHtml(article.source?.name || 'Unknown Source');
-        const safeUrl = this.escapeHtml(article.url || '');
+        const safeUrl = this.safeUrl(article.url);
         const imageUrl = article.urlToImage || article.image_url;
         const timeAgo = this.getTimeAgo(article.publishedAt);
         const hasAnalysis = article.preGeneratedAnalysis && 
                            article.preGeneratedAnalysis !== 'No analysis available' &&
                            article.preGeneratedAnalysis.trim() !== '';
         const statusClass = hasAnalysis ? 'status-success' : 'status-warning';
-        const statusText = hasAnalysis ? 'Analysis Generated' : 'No Analysis';
+        const isPending = !hasAnalysis && article.analysisStatus === 'pending';
+        const statusText = hasAnalysis ? 'Analysis Generated' : isPending ? 'Analysis Pending - next run fills it in' : 'No Analysis';
         const analysisContent = this.formatAnalysis(article.preGeneratedAnalysis || 'No analysis available');
         
         let statusBadge = '';
@@ -65,7 +66,7 @@ AdminPanel.prototype.renderArticles = function(filter = 'all') {
                                 ${statusBadge}
                             </div>
                             <div class="article-meta">
-                                ${safeMeta} • ${timeAgo}
+                                ${safeMeta} • ${timeAgo}${article.topic ? ` • <span class="topic-tag">${this.escapeHtml(article.topic)}</span>` : ''}
                             </div>
                         </div>
                         <div class="article-score">Score: ${article.score || '--'}</div>
@@ -76,15 +77,45 @@ AdminPanel.prototype.renderArticles = function(filter = 'all') {
                             ${safeDescription}
                         </div>
                         
+                        ${article.repeatOf ? `
+                            <div class="repeat-flag">
+                                🔁 ${article.repeatOf.newDevelopment ? 'Follow-up to' : 'Already ran in'}
+                                <a href="/issue/${encodeURIComponent(article.repeatOf.issueNumber)}" target="_blank" title="${this.escapeHtml(article.repeatOf.title || '')}">issue #${article.repeatOf.issueNumber}</a>
+                                ${article.repeatOf.newDevelopment ? `(new: "${this.escapeHtml(article.repeatOf.newDevelopment)}")` : ''}
+                            </div>
+                        ` : ''}
+                        
+                        ${article.alsoCoveredBy && article.alsoCoveredBy.length > 0 ? `
+                            <div class="also-covered">
+                                Also covered by ${article.alsoCoveredBy.map(c =>
+                                    `<a href="${this.safeUrl(c.url) || '#'}" target="_blank" rel="noopener" title="${this.escapeHtml(c.title || '')}">${this.escapeHtml(c.source)}</a>`
+                                ).join(', ')}
+                            </div>
+                        ` : ''}
+                        
+                        ${article.scoreBreakdown && article.scoreBreakdown.length > 0 ? `
+                            <details class="score-breakdown">
+                                <summary>Why score ${article.score}?</summary>
+                                ${this.formatScoreBreakdown(article.scoreBreakdown)}
+                            </details>
+                        ` : ''}
+                        
                         <div class="analysis-section">
                             <div class="analysis-status">
                                 <span class="status-dot ${statusClass}"></span>
                                 ${statusText}
                             </div>
-                            <div class="analysis-label">Analysis</div>
+                            <div class="analysis-label">Analysis${article.promptVersion ? ` <span style="font-weight: 400; color: #6b7280;">(prompt v${article.promptVersion})</span>` : ''}</div>
                             <div class="analysis-content">
                                 ${analysisContent}
                             </div>
+                            ${this.formatClaimCheck(article.claimCheck)}
+                            ${article.personaNotes && Object.keys(article.personaNotes).length > 0 ? `
+                                <details class="persona-notes">
+                                    <summary>Persona notes (${Object.keys(article.personaNotes).length})</summary>
+                                    ${this.formatPersonaNotes(article.personaNotes)}
+                                </details>
+                            ` : ''}
                         </div>
                     </div>
                     
@@ -92,7 +123,7 @@ AdminPanel.prototype.renderArticles = function(filter = 'all') {
                         <button class="btn btn-small" onclick="adminPanel.editAnalysis('${articleId}')">✏️ Edit</button>
                         <button class="btn btn-small btn-warning" onclick="adminPanel.analyzeArticle('${articleId}')">${analyzeText}</button>
                         ${statusActions}
-                        <button class="btn btn-small btn-secondary" onclick="window.open('${safeUrl}', '_blank')">🔗 View Original</button>
+                        <button class="btn btn-small btn-secondary" data-url="${safeUrl}" onclick="window.open(this.dataset.url, '_blank')">🔗 View Original</button>
                         <button class="btn btn-small btn-danger" onclick="adminPanel.removeArticle('${articleId}')">🗑️ Remove</button>
                     </div>
                 </div>
@@ -103,6 +134,28 @@ AdminPanel.prototype.renderArticles = function(filter = 'all') {
     this.currentFilter = filter;
 };
 
+// Facts in the analysis the grounding check couldn't find in the article
+AdminPanel.prototype.formatClaimCheck = function(claimCheck) {
+    if (!claimCheck || !claimCheck.unsupported || claimCheck.unsupported.length === 0) return '';
+    
+    const basis = claimCheck.basis === 'full-text' ? 'the article text' : 'the headline and summary (no full text)';
+    return `
+        <div class="claim-flags">
+            ⚠️ ${claimCheck.unsupported.length} of ${claimCheck.checked} claims not found in ${basis}:
+            ${claimCheck.unsupported.map(c =>
+                `<span class="claim-flag" title="${this.escapeHtml(c.type)}">${this.escapeHtml(c.text)}</span>`
+            ).join(' ')}
+        </div>
+    `;
+};
+
+AdminPanel.prototype.formatPersonaNotes = function(notes) {
+    const labels = Object.fromEntries((this.personas || []).map(p => [p.id, p.label]));
+    return Object.entries(notes).map(([id, note]) =>
+        `<div><strong>${this.escapeHtml(labels[id] || id)}:</strong> ${this.escapeHtml(note)}</div>`
+    ).join('');
+};
+
 AdminPanel.prototype.updateFilterCounts = function() {
     const published = this.articles.filter(a => a.status === 'published').length;
     const drafts = this.articles.filter(a => a.status === 'draft').length;
@@ -250,6 +303,12 @@ AdminPanel.prototype.analyzeArticle = async function(articleId) {
             const result = await response.json();
             if (result.success && result.analysis) {
                 article.preGeneratedAnalysis = result.analysis;
+                article.promptVersion = result.promptVersion;
+                article.personaNotes = result.personaNotes || null;
+                article.claimCheck = result.claimCheck || null;
+                if (article.id) {
+                    await this.saveAnalysisToDatabase(article.id, result.analysis, result.promptVersion, result);
+                }
                 this.renderArticles(this.currentFilter);
                 if (this.addLog) this.addLog('success', 'Analysis generated');
             }